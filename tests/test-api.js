@@ -12,6 +12,8 @@ const TEST_CONFIG = {
   workerUrl: 'https://your-worker.your-subdomain.workers.dev',
   // 替换为您的认证 token
   authToken: 'your-auth-token',
+  // 替换为您的管理员 token（ADMIN_TOKENS）
+  adminToken: 'your-admin-token',
   // 测试超时时间（毫秒）
   timeout: 30000
 };
@@ -43,6 +45,8 @@ function makeRequest(url, options = {}) {
 
     const req = https.request(requestOptions, (res) => {
       let data = '';
+      // 按 UTF-8 流式解码，避免多字节字符在数据块边界被截断
+      res.setEncoding('utf8');
       
       res.on('data', (chunk) => {
         data += chunk;
@@ -123,6 +127,38 @@ function assert(condition, message) {
   }
 }
 
+/**
+ * 等待指定时间
+ * @param {number} ms - 等待的毫秒数
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 解析 SSE 响应文本
+ * @param {string} rawData - 响应文本
+ * @returns {Object} events 为各事件的 data 字段，comments 为注释行
+ */
+function parseSseEvents(rawData) {
+  const events = [];
+  const comments = [];
+  for (const block of rawData.split(/\r?\n\r?\n/)) {
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith(':')) {
+        comments.push(line);
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+    if (data.length > 0) {
+      events.push(data.join('\n'));
+    }
+  }
+  return { events, comments };
+}
+
 /**
  * 测试服务状态端点
  */
@@ -145,6 +181,7 @@ async function testStatusEndpoint() {
   console.log(`   状态: ${response.data.status}`);
   console.log(`   版本: ${response.data.version}`);
   console.log(`   可用Keys: ${response.data.keyPool.availableKeys}/${response.data.keyPool.totalKeys}`);
+  console.log(`   状态存储: ${response.data.keyPool.stateBackend}`);
 }
 
 /**
@@ -181,6 +218,85 @@ async function testChatCompletions() {
   console.log(`   Token使用: ${response.data.usage?.total_tokens || 'N/A'}`);
 }
 
+/**
+ * 测试多个 part 的回答拼接
+ * 开启思考后同一个候选包含思考 part 和回答 part，回答应完整且不混入思考内容
+ */
+async function testMultiPartContent() {
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '逐行输出数字 1 到 5，每行一个数字，不要输出其他内容' }],
+      reasoning_effort: 'low'
+    })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const message = response.data.choices[0].message;
+  const numbers = (message.content || '').match(/\d/g) || [];
+  assert(numbers.join('') === '12345', `回答应依次包含 1 到 5，实际为 ${JSON.stringify(message.content)}`);
+  if (message.reasoning_content) {
+    assert(!message.content.includes(message.reasoning_content), '回答不应包含思考内容');
+  }
+
+  console.log(`   回答: ${JSON.stringify(message.content)}`);
+}
+
+/**
+ * 测试思考模式
+ */
+async function testReasoning() {
+  const headers = {
+    'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+    'Content-Type': 'application/json'
+  };
+  const messages = [{ role: 'user', content: '一个数的 3 倍加 7 等于 25，这个数是多少？' }];
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: 'gemini-2.5-flash', messages, reasoning_effort: 'low' })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const message = response.data.choices[0].message;
+  const reasoningTokens = response.data.usage?.completion_tokens_details?.reasoning_tokens;
+  assert(typeof message.reasoning_content === 'string' && message.reasoning_content.length > 0, '应返回 reasoning_content');
+  assert(reasoningTokens > 0, `reasoning_tokens 应大于 0，实际为 ${reasoningTokens}`);
+  assert(response.data.usage.completion_tokens >= reasoningTokens, 'completion_tokens 应包含思考 token');
+
+  const disabled = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: 'gemini-2.5-flash', messages, reasoning_effort: 'none' })
+  });
+
+  assert(disabled.status === 200, `reasoning_effort 为 none 时状态码应为 200，实际为 ${disabled.status}`);
+  assert(!disabled.data.choices[0].message.reasoning_content, '关闭思考时不应返回 reasoning_content');
+  assert(disabled.data.usage.completion_tokens_details.reasoning_tokens === 0, '关闭思考时 reasoning_tokens 应为 0');
+
+  const stream = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: 'gemini-2.5-flash', messages, reasoning_effort: 'low', stream: true })
+  });
+
+  assert(stream.status === 200, `流式请求状态码应为 200，实际为 ${stream.status}`);
+  const chunks = parseSseEvents(stream.rawData).events
+    .filter(data => data !== '[DONE]')
+    .map(data => JSON.parse(data));
+  const streamedReasoning = chunks.map(chunk => chunk.choices[0]?.delta?.reasoning_content || '').join('');
+  assert(streamedReasoning.length > 0, '流式响应应在 delta.reasoning_content 中返回思考摘要');
+
+  console.log(`   思考 token 数: ${reasoningTokens}`);
+  console.log(`   思考摘要: ${message.reasoning_content.substring(0, 50)}...`);
+}
+
 /**
  * 测试流式响应
  */
@@ -258,6 +374,353 @@ async function testStreamingResponse() {
   });
 }
 
+/**
+ * 测试流式事件格式
+ * 流以唯一一个带 finish_reason 的数据块结束回答，[DONE] 只出现一次且位于最后
+ */
+async function testStreamEventFormat() {
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '请用三句话介绍 SSE 协议' }],
+      stream: true
+    })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const { events } = parseSseEvents(response.rawData);
+  assert(events.indexOf('[DONE]') === events.length - 1, '[DONE] 应只出现一次且位于最后');
+
+  const finishReasons = ['stop', 'length', 'tool_calls', 'content_filter'];
+  const chunks = events.slice(0, -1).map(data => JSON.parse(data));
+  const finished = chunks.filter(chunk => chunk.choices?.[0]?.finish_reason);
+  assert(finished.length === 1, `应只有一个带 finish_reason 的数据块，实际为 ${finished.length}`);
+  const finishReason = finished[0].choices[0].finish_reason;
+  assert(finishReasons.includes(finishReason), `未知的 finish_reason: ${finishReason}`);
+
+  assert(chunks.every(chunk => !chunk.error), '正常回答的流中不应包含错误事件');
+
+  console.log(`   事件数: ${events.length}`);
+  console.log(`   结束原因: ${finishReason}`);
+}
+
+/**
+ * 测试客户端断开
+ * 收到第一个数据块后断开连接，服务应取消上游请求（abortedRequests 增加），key 不进入冷却且不影响后续请求
+ */
+async function testClientDisconnect() {
+  const headers = {
+    'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+    'Content-Type': 'application/json'
+  };
+  const getKeyPool = async () => {
+    const status = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/status`, { method: 'GET', headers });
+    return status.data.keyPool;
+  };
+
+  const before = await getKeyPool();
+  assert(typeof before.abortedRequests === 'number', 'keyPool 应包含 abortedRequests');
+
+  await new Promise((resolve, reject) => {
+    const urlObj = new URL(`${TEST_CONFIG.workerUrl}/v1/chat/completions`);
+    const req = https.request({
+      hostname: urlObj.hostname,
+      port: urlObj.port || 443,
+      path: urlObj.pathname,
+      method: 'POST',
+      headers
+    }, (res) => {
+      assert(res.statusCode === 200, `状态码应为 200，实际为 ${res.statusCode}`);
+      res.once('data', () => {
+        req.destroy();
+        resolve();
+      });
+    });
+
+    req.on('error', (error) => {
+      if (!req.destroyed) reject(error);
+    });
+    req.write(JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '请写一篇 2000 字的文章介绍人工智能的发展历史' }],
+      stream: true
+    }));
+    req.end();
+  });
+
+  // 状态统计缓存 5 秒
+  await sleep(6000);
+  const after = await getKeyPool();
+  assert(after.abortedRequests > before.abortedRequests,
+    `断开后 abortedRequests 应增加，实际为 ${before.abortedRequests} -> ${after.abortedRequests}`);
+  // 客户端断开不应让 key 进入冷却或失效
+  assert(after.coolingKeys <= before.coolingKeys, `断开后 coolingKeys 不应增加，实际为 ${before.coolingKeys} -> ${after.coolingKeys}`);
+  assert(after.modelCooling <= before.modelCooling, `断开后 modelCooling 不应增加，实际为 ${before.modelCooling} -> ${after.modelCooling}`);
+  assert(after.failedKeys <= before.failedKeys, `断开后 failedKeys 不应增加，实际为 ${before.failedKeys} -> ${after.failedKeys}`);
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '请回复"好的"' }],
+      max_tokens: 20
+    })
+  });
+
+  assert(response.status === 200, `断开后的请求状态码应为 200，实际为 ${response.status}`);
+
+  console.log(`   取消的上游请求: ${before.abortedRequests} -> ${after.abortedRequests}`);
+}
+
+/**
+ * 测试 SSE 心跳
+ * 思考时间超过 STREAM_HEARTBEAT_INTERVAL 时流中会出现 ": ping" 注释行，客户端忽略后内容应完整
+ */
+async function testStreamHeartbeat() {
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '证明根号 2 是无理数，最后只回复"证毕"' }],
+      reasoning_effort: 'high',
+      stream: true
+    })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const { events, comments } = parseSseEvents(response.rawData);
+  assert(comments.every(line => line === ': ping'), `注释行应为 ": ping"，实际为 ${JSON.stringify(comments)}`);
+  assert(events[events.length - 1] === '[DONE]', '流应以 [DONE] 结束');
+
+  const chunks = events.slice(0, -1).map(data => JSON.parse(data));
+  const content = chunks.map(chunk => chunk.choices[0]?.delta?.content || '').join('');
+  assert(content.length > 0, '忽略心跳后应接收到完整内容');
+
+  console.log(`   心跳数: ${comments.length}`);
+  console.log(`   回答: ${content.substring(0, 50)}`);
+}
+
+/**
+ * 测试长流式响应的完整性
+ * 长回答会跨越大量网络数据块，每个事件都应完整解析，多字节字符不应被截断
+ */
+async function testLongStreamIntegrity() {
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '请写一篇 2000 字的文章介绍人工智能的发展历史' }],
+      max_tokens: 8000,
+      stream: true
+    })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const { events } = parseSseEvents(response.rawData);
+  assert(events[events.length - 1] === '[DONE]', '流应以 [DONE] 结束');
+
+  let content = '';
+  let finishReason = null;
+  for (const data of events.slice(0, -1)) {
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`事件不是完整的 JSON: ${data.substring(0, 100)}`);
+    }
+    content += chunk.choices[0]?.delta?.content || '';
+    finishReason = chunk.choices[0]?.finish_reason || finishReason;
+  }
+
+  assert(content.length > 1000, `应接收到长回答，实际为 ${content.length} 字符`);
+  assert(!content.includes('\uFFFD'), '内容不应包含被截断的多字节字符');
+  assert(finishReason === 'stop' || finishReason === 'length', `finish_reason 应为 stop 或 length，实际为 ${finishReason}`);
+
+  console.log(`   事件数: ${events.length}`);
+  console.log(`   内容长度: ${content.length} 字符`);
+}
+
+/**
+ * 测试流式响应的用量数据块
+ */
+async function testStreamingUsage() {
+  const request = includeUsage => makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '请回复"好的"' }],
+      stream: true,
+      stream_options: includeUsage ? { include_usage: true } : undefined
+    })
+  });
+
+  const response = await request(true);
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const { events } = parseSseEvents(response.rawData);
+  assert(events[events.length - 1] === '[DONE]', '流应以 [DONE] 结束');
+
+  const usageChunk = JSON.parse(events[events.length - 2]);
+  assert(Array.isArray(usageChunk.choices) && usageChunk.choices.length === 0, '用量数据块的 choices 应为空数组');
+  const usage = usageChunk.usage;
+  assert(usage && typeof usage.total_tokens === 'number', '[DONE] 之前应为带 usage 的数据块');
+  assert(usage.total_tokens >= usage.prompt_tokens + usage.completion_tokens, 'total_tokens 应包含输入和输出 token');
+
+  const withoutUsage = await request(false);
+  assert(withoutUsage.status === 200, `未设置 include_usage 时状态码应为 200，实际为 ${withoutUsage.status}`);
+  const chunks = parseSseEvents(withoutUsage.rawData).events.filter(data => data !== '[DONE]');
+  assert(chunks.every(data => !JSON.parse(data).usage), '未设置 include_usage 时不应返回用量数据块');
+
+  console.log(`   Token使用: ${usage.prompt_tokens} + ${usage.completion_tokens} = ${usage.total_tokens}`);
+}
+
+// 函数调用测试使用的工具定义
+const WEATHER_TOOL = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: '查询城市当前天气',
+    parameters: {
+      type: 'object',
+      properties: {
+        city: { type: 'string', description: '城市名称' }
+      },
+      required: ['city']
+    }
+  }
+};
+
+/**
+ * 测试函数调用及工具结果回传
+ */
+async function testToolCalls() {
+  const headers = {
+    'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+    'Content-Type': 'application/json'
+  };
+  const messages = [{ role: 'user', content: '巴黎现在天气怎么样？' }];
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages,
+      tools: [WEATHER_TOOL],
+      tool_choice: { type: 'function', function: { name: 'get_weather' } }
+    })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const choice = response.data.choices[0];
+  assert(choice.finish_reason === 'tool_calls', `finish_reason 应为 tool_calls，实际为 ${choice.finish_reason}`);
+  assert(Array.isArray(choice.message.tool_calls) && choice.message.tool_calls.length > 0, 'message 应包含 tool_calls');
+
+  const toolCall = choice.message.tool_calls[0];
+  assert(toolCall.id && toolCall.type === 'function', 'tool_call 应包含 id 和 type');
+  assert(toolCall.function.name === 'get_weather', `函数名应为 get_weather，实际为 ${toolCall.function.name}`);
+  const args = JSON.parse(toolCall.function.arguments);
+  assert(typeof args.city === 'string', 'arguments 应为包含 city 的 JSON 字符串');
+
+  // 将工具结果以 tool 消息回传，模型应基于结果生成回答
+  const followUp = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [
+        ...messages,
+        choice.message,
+        { role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify({ city: args.city, temperature: 22 }) }
+      ],
+      tools: [WEATHER_TOOL]
+    })
+  });
+
+  assert(followUp.status === 200, `工具结果回传状态码应为 200，实际为 ${followUp.status}`);
+  assert(followUp.data.choices[0].message.content, '回传工具结果后应返回文本回答');
+
+  const unknown = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [...messages, { role: 'tool', tool_call_id: 'call_missing', content: '{}' }]
+    })
+  });
+
+  assert(unknown.status === 400, `未知 tool_call_id 应返回 400，实际为 ${unknown.status}`);
+
+  console.log(`   函数调用: ${toolCall.function.name}(${toolCall.function.arguments})`);
+  console.log(`   最终回答: ${followUp.data.choices[0].message.content.substring(0, 50)}`);
+}
+
+/**
+ * 测试流式函数调用
+ */
+async function testStreamingToolCalls() {
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '巴黎现在天气怎么样？' }],
+      tools: [WEATHER_TOOL],
+      tool_choice: { type: 'function', function: { name: 'get_weather' } },
+      stream: true
+    })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  const { events } = parseSseEvents(response.rawData);
+  assert(events[events.length - 1] === '[DONE]', '流应以 [DONE] 结束');
+
+  const chunks = events.slice(0, -1).map(data => JSON.parse(data));
+  const toolCalls = [];
+  let finishReason = null;
+  for (const chunk of chunks) {
+    const choice = chunk.choices[0];
+    if (!choice) continue;
+    for (const delta of choice.delta.tool_calls || []) {
+      assert(Number.isInteger(delta.index), 'tool_calls delta 应包含 index');
+      if (!toolCalls[delta.index]) {
+        assert(delta.id && delta.function?.name, '每个调用的第一个 delta 应包含 id 和函数名');
+        toolCalls[delta.index] = { name: delta.function.name, arguments: '' };
+      }
+      toolCalls[delta.index].arguments += delta.function?.arguments || '';
+    }
+    finishReason = choice.finish_reason || finishReason;
+  }
+
+  assert(toolCalls.length > 0, '流中应包含 tool_calls delta');
+  assert(toolCalls[0].name === 'get_weather', `函数名应为 get_weather，实际为 ${toolCalls[0].name}`);
+  assert(typeof JSON.parse(toolCalls[0].arguments).city === 'string', '拼接后的 arguments 应为完整的 JSON');
+  assert(finishReason === 'tool_calls', `finish_reason 应为 tool_calls，实际为 ${finishReason}`);
+
+  console.log(`   调用数量: ${toolCalls.length}`);
+  console.log(`   函数调用: ${toolCalls[0].name}(${toolCalls[0].arguments})`);
+}
+
 /**
  * 测试模型列表端点
  */
@@ -313,6 +776,141 @@ async function testEmbeddingsEndpoint() {
   console.log(`   Token使用: ${response.data.usage?.total_tokens || 'N/A'}`);
 }
 
+/**
+ * 测试 Responses 接口
+ */
+async function testResponsesEndpoint() {
+  const headers = {
+    'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+    'Content-Type': 'application/json'
+  };
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/responses`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      instructions: '请简短回答',
+      input: '请记住数字 42，并回复"好的"'
+    })
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  assert(response.data.object === 'response', 'object 字段应为 "response"');
+  assert(/^resp_/.test(response.data.id), 'id 应以 resp_ 开头');
+  assert(Array.isArray(response.data.output), '响应应包含 output 数组');
+  assert(response.data.output.some(item => item.type === 'message'), 'output 应包含 message');
+  assert(typeof response.data.usage?.total_tokens === 'number', '响应应包含 usage');
+
+  const followUp = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/responses`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      previous_response_id: response.data.id,
+      input: '刚才的数字是多少？只回复数字'
+    })
+  });
+
+  assert(followUp.status === 200, `previous_response_id 请求状态码应为 200，实际为 ${followUp.status}`);
+  assert(followUp.data.previous_response_id === response.data.id, '应返回 previous_response_id');
+
+  const missing = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/responses`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ previous_response_id: 'resp_missing', input: 'hi' })
+  });
+
+  assert(missing.status === 404, `不存在的 previous_response_id 应返回 404，实际为 ${missing.status}`);
+
+  const message = followUp.data.output.find(item => item.type === 'message');
+  console.log(`   回复内容: ${message?.content?.[0]?.text}`);
+}
+
+/**
+ * 测试 Anthropic Messages 接口
+ */
+async function testAnthropicMessagesEndpoint() {
+  const requestBody = {
+    model: 'gemini-2.5-flash',
+    max_tokens: 100,
+    system: '请简短回答',
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: '请回复"测试成功"' }] }
+    ]
+  };
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': TEST_CONFIG.authToken,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(requestBody)
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  assert(response.data.type === 'message', 'type 字段应为 "message"');
+  assert(response.data.role === 'assistant', 'role 字段应为 "assistant"');
+  assert(Array.isArray(response.data.content) && response.data.content.length > 0, '响应应包含 content 数组');
+  assert(response.data.stop_reason, '响应应包含 stop_reason');
+  assert(typeof response.data.usage?.output_tokens === 'number', '响应应包含 usage.output_tokens');
+
+  const invalid = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': TEST_CONFIG.authToken,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ model: 'gemini-2.5-flash', max_tokens: 100 })
+  });
+
+  assert(invalid.status === 400, `缺少 messages 时状态码应为 400，实际为 ${invalid.status}`);
+  assert(invalid.data?.type === 'error' && invalid.data.error?.type === 'invalid_request_error', '错误应使用 Anthropic 格式');
+
+  const text = response.data.content.find(block => block.type === 'text');
+  console.log(`   回复内容: ${text?.text}`);
+  console.log(`   结束原因: ${response.data.stop_reason}`);
+}
+
+/**
+ * 测试 Gemini 原生接口
+ */
+async function testNativeGeminiEndpoint() {
+  const requestBody = {
+    contents: [{ role: 'user', parts: [{ text: '请回复"测试成功"' }] }]
+  };
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1beta/models/gemini-2.5-flash:generateContent`, {
+    method: 'POST',
+    headers: {
+      'x-goog-api-key': TEST_CONFIG.authToken,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(requestBody)
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  assert(Array.isArray(response.data.candidates) && response.data.candidates.length > 0, '响应应包含 candidates 数组');
+  assert(response.data.usageMetadata, '响应应包含 usageMetadata');
+
+  const counted = await makeRequest(
+    `${TEST_CONFIG.workerUrl}/v1beta/models/gemini-2.5-flash:countTokens?key=${encodeURIComponent(TEST_CONFIG.authToken)}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestBody)
+    }
+  );
+
+  assert(counted.status === 200, `countTokens 状态码应为 200，实际为 ${counted.status}`);
+  assert(typeof counted.data.totalTokens === 'number', 'countTokens 应返回 totalTokens');
+
+  console.log(`   回复内容: ${response.data.candidates[0].content?.parts?.[0]?.text}`);
+  console.log(`   输入 token 数: ${counted.data.totalTokens}`);
+}
+
 /**
  * 测试认证失败
  */
@@ -354,10 +952,202 @@ async function testInvalidRequest() {
   assert(response.status === 400, `状态码应为 400，实际为 ${response.status}`);
   assert(response.data && response.data.error, '响应应包含错误信息');
 
+  // 路径必须与端点完整匹配，追加路径段不会被路由到其他端点
+  const nested = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/embeddings/x/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hello' }] })
+  });
+
+  assert(nested.status === 404, `嵌套路径应返回 404，实际为 ${nested.status}`);
+
   console.log(`   错误类型: ${response.data.error.type}`);
   console.log(`   错误消息: ${response.data.error.message}`);
 }
 
+/**
+ * 测试未知模型
+ */
+async function testModelNotFound() {
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: 'unknown-model-for-test',
+      messages: [{ role: 'user', content: 'Hello' }]
+    })
+  });
+
+  assert(response.status === 404, `状态码应为 404，实际为 ${response.status}`);
+  assert(response.data?.error?.code === 'model_not_found', '错误码应为 model_not_found');
+
+  const models = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/models`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`
+    }
+  });
+
+  const alias = models.data?.data?.find(model => model.id === 'gpt-4o');
+  assert(alias && alias.root, '模型列表应包含 gpt-4o 别名及其 root');
+
+  console.log(`   错误消息: ${response.data.error.message}`);
+  console.log(`   gpt-4o 对应: ${alias.root}`);
+}
+
+/**
+ * 测试 token 用量预算
+ * 绑定 RATE_LIMITER 时用量在所有 isolate 间一致，会等待本次请求计入用量（最多一个同步间隔）
+ */
+async function testUsageBudget() {
+  const headers = {
+    'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+    'Content-Type': 'application/json'
+  };
+  const getAuth = async () => {
+    const status = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/status`, { method: 'GET', headers });
+    return status.data.auth;
+  };
+
+  const before = await getAuth();
+  for (const period of ['daily', 'monthly']) {
+    const usage = before.usage?.[period];
+    assert(usage, `auth.usage 应包含 ${period} 用量`);
+    for (const field of ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'cost']) {
+      assert(typeof usage[field] === 'number', `auth.usage.${period}.${field} 应为数字`);
+    }
+  }
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: 'gemini-2.5-flash',
+      messages: [{ role: 'user', content: '请回复"好的"' }],
+      max_tokens: 20
+    })
+  });
+
+  if (response.status === 429 && response.data?.error?.type === 'insufficient_quota') {
+    assert(before.budget, '未配置预算的 token 不应返回 insufficient_quota');
+    assert(response.data.error.code === 'insufficient_quota', '错误码应为 insufficient_quota');
+    assert(/resets at/.test(response.data.error.message), '错误消息应包含预算重置时间');
+    console.log(`   预算已用尽: ${response.data.error.message}`);
+    return;
+  }
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+
+  if (before.rateLimiter !== 'durable-object') {
+    console.log('   未绑定 RATE_LIMITER，用量可能分布在多个 isolate 中，不验证计数');
+    return;
+  }
+
+  let after = before;
+  for (let i = 0; i < 35 && after.usage.daily.requests <= before.usage.daily.requests; i++) {
+    await sleep(1000);
+    after = await getAuth();
+  }
+
+  assert(after.usage.daily.requests > before.usage.daily.requests, '请求完成后每日请求数应增加');
+  assert(after.usage.daily.totalTokens > before.usage.daily.totalTokens, '请求完成后每日 token 数应增加');
+
+  console.log(`   今日请求数: ${after.usage.daily.requests}`);
+  console.log(`   今日 token 数: ${after.usage.daily.totalTokens}`);
+}
+
+/**
+ * 测试 token 速率限制
+ * 需要认证 token 配置了 rateLimit.rpm；rpm 不超过 20 时会用尽当前窗口的额度，因此放在最后执行
+ */
+async function testRateLimit() {
+  const headers = { 'Authorization': `Bearer ${TEST_CONFIG.authToken}` };
+  const status = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/status`, { method: 'GET', headers });
+  const rateLimit = status.data?.auth?.rateLimit;
+  if (!rateLimit?.rpm) {
+    console.log('   当前 token 未配置 rpm 限制，跳过');
+    return;
+  }
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/models`, { method: 'GET', headers });
+
+  assert(response.status === 200 || response.status === 429, `状态码应为 200 或 429，实际为 ${response.status}`);
+  assert(response.headers['x-ratelimit-limit-requests'] === String(rateLimit.rpm), 'x-ratelimit-limit-requests 应等于 rpm');
+  assert(/^\d+$/.test(response.headers['x-ratelimit-remaining-requests'] || ''), '应包含 x-ratelimit-remaining-requests');
+  assert(/^\d+s$/.test(response.headers['x-ratelimit-reset-requests'] || ''), '应包含 x-ratelimit-reset-requests');
+
+  console.log(`   rpm: ${rateLimit.rpm}，剩余: ${response.headers['x-ratelimit-remaining-requests']}`);
+
+  if (rateLimit.rpm > 20) {
+    console.log('   rpm 较大，不验证超限响应');
+    return;
+  }
+
+  let limited = response;
+  for (let i = 0; i <= rateLimit.rpm && limited.status !== 429; i++) {
+    limited = await makeRequest(`${TEST_CONFIG.workerUrl}/v1/models`, { method: 'GET', headers });
+  }
+
+  assert(limited.status === 429, `超出 rpm 后状态码应为 429，实际为 ${limited.status}`);
+  assert(limited.data?.error?.type === 'rate_limit_error', '错误类型应为 rate_limit_error');
+  assert(/^\d+$/.test(limited.headers['retry-after'] || ''), '429 响应应包含 Retry-After');
+  const exhausted = ['requests', 'tokens'].some(type => limited.headers[`x-ratelimit-remaining-${type}`] === '0');
+  assert(exhausted, '超限的计数剩余额度应为 0');
+
+  console.log(`   Retry-After: ${limited.headers['retry-after']}s`);
+}
+
+/**
+ * 测试管理接口
+ */
+async function testAdminKeysEndpoint() {
+  const forbidden = await makeRequest(`${TEST_CONFIG.workerUrl}/admin/keys`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.authToken}`
+    }
+  });
+
+  assert(forbidden.status === 403, `普通 token 访问管理接口应返回 403，实际为 ${forbidden.status}`);
+
+  // 带前缀的管理路径同样只允许管理员 token
+  for (const method of ['GET', 'POST']) {
+    const prefixed = await makeRequest(`${TEST_CONFIG.workerUrl}/x/admin/keys`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${TEST_CONFIG.authToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: method === 'POST' ? JSON.stringify({ key: 'AIza-test-key-should-not-be-added' }) : undefined
+    });
+
+    assert(prefixed.status === 403, `普通 token ${method} /x/admin/keys 应返回 403，实际为 ${prefixed.status}`);
+  }
+
+  const response = await makeRequest(`${TEST_CONFIG.workerUrl}/admin/keys`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${TEST_CONFIG.adminToken}`
+    }
+  });
+
+  assert(response.status === 200, `状态码应为 200，实际为 ${response.status}`);
+  assert(response.data.object === 'list', 'object 字段应为 "list"');
+  assert(Array.isArray(response.data.data) && response.data.data.length > 0, '响应应包含 key 列表');
+
+  const key = response.data.data[0];
+  assert(/^[0-9a-f]{8}$/.test(key.fingerprint), 'key 应包含 8 位指纹');
+  assert(typeof key.enabled === 'boolean', 'key 应包含 enabled 字段');
+
+  console.log(`   key 数量: ${response.data.data.length}`);
+  console.log(`   启用中: ${response.data.data.filter(item => item.enabled).length}`);
+}
+
 /**
  * 测试 CORS 支持
  */
@@ -430,13 +1220,29 @@ async function runAllTests() {
   // 执行所有测试
   await runTest('服务状态检查', testStatusEndpoint);
   await runTest('聊天完成接口', testChatCompletions);
+  await runTest('多 part 回答', testMultiPartContent);
+  await runTest('思考模式', testReasoning);
   await runTest('流式响应', testStreamingResponse);
+  await runTest('流式用量', testStreamingUsage);
+  await runTest('流式事件格式', testStreamEventFormat);
+  await runTest('客户端断开', testClientDisconnect);
+  await runTest('SSE 心跳', testStreamHeartbeat);
+  await runTest('长流式响应', testLongStreamIntegrity);
+  await runTest('函数调用', testToolCalls);
+  await runTest('流式函数调用', testStreamingToolCalls);
   await runTest('模型列表', testModelsEndpoint);
   await runTest('嵌入向量', testEmbeddingsEndpoint);
+  await runTest('Gemini 原生接口', testNativeGeminiEndpoint);
+  await runTest('Responses 接口', testResponsesEndpoint);
+  await runTest('Anthropic Messages 接口', testAnthropicMessagesEndpoint);
   await runTest('认证失败处理', testAuthenticationFailure);
   await runTest('无效请求处理', testInvalidRequest);
+  await runTest('未知模型处理', testModelNotFound);
+  await runTest('管理接口', testAdminKeysEndpoint);
   await runTest('CORS 支持', testCORSSupport);
+  await runTest('用量预算', testUsageBudget);
   await runTest('性能测试', testPerformance);
+  await runTest('速率限制', testRateLimit);
 
   // 输出测试结果
   console.log('\n' + '='.repeat(60));
@@ -469,11 +1275,27 @@ module.exports = {
   runAllTests,
   testStatusEndpoint,
   testChatCompletions,
+  testMultiPartContent,
+  testReasoning,
   testStreamingResponse,
+  testStreamingUsage,
+  testStreamEventFormat,
+  testClientDisconnect,
+  testStreamHeartbeat,
+  testLongStreamIntegrity,
+  testToolCalls,
+  testStreamingToolCalls,
   testModelsEndpoint,
   testEmbeddingsEndpoint,
+  testNativeGeminiEndpoint,
+  testResponsesEndpoint,
+  testAnthropicMessagesEndpoint,
   testAuthenticationFailure,
   testInvalidRequest,
+  testModelNotFound,
+  testAdminKeysEndpoint,
   testCORSSupport,
-  testPerformance
+  testPerformance,
+  testUsageBudget,
+  testRateLimit
 };
\ No newline at end of file
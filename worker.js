@@ -13,14 +13,132 @@ const BASE_HEADERS = {
   "Connection": "keep-alive"
 };
 
+// Pool State Constants
+const POOL_STATE_NAME = "pool-state";
+const HEALTH_REPORT_NAME = "health-report";
+const KEY_CONFIG_NAME = "key-config";
+const AUTH_TOKENS_NAME = "auth-tokens";
+const ALL_MODELS = "*";                  // 整个 key 冷却（不区分模型）
+const KV_KEY_PREFIX = "balance-gemini:";
+
+// Key Fingerprint (FNV-1a)：持久化和状态展示只使用指纹，不暴露明文 key
+function fingerprintKey(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// In-Memory State Store - 单 isolate 内有效，用于测试和未绑定 KV 的部署
+class MemoryStateStore {
+  constructor() {
+    this.type = 'memory';
+    this.data = new Map();
+  }
+  
+  async get(name) {
+    const value = this.data.get(name);
+    return value === undefined ? null : JSON.parse(value);
+  }
+  
+  async put(name, value) {
+    // 序列化存储，模拟 KV 的值语义，避免调用方共享引用
+    this.data.set(name, JSON.stringify(value));
+  }
+}
+
+// Bounded In-Memory Store - 未绑定 KV 时保存会话记录：按 expirationTtl 过期，
+// 超过条数或总大小（字符数）上限时淘汰最久未使用的记录，避免占满 isolate 内存
+class LruMemoryStore {
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.maxEntries = options.maxEntries ?? 100;
+    this.maxSize = options.maxSize ?? 8 * 1024 * 1024;
+    this.entries = new Map();  // name -> { value, expiresAt }，按最近使用排序
+    this.size = 0;
+  }
+  
+  async get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+    this.delete(name);
+    if (entry.expiresAt <= Date.now()) return null;
+    this.entries.set(name, entry);
+    this.size += entry.value.length;
+    return JSON.parse(entry.value);
+  }
+  
+  async put(name, value, options = {}) {
+    this.delete(name);
+    const json = JSON.stringify(value);
+    // 单条超过总大小上限时不保存
+    if (json.length > this.maxSize) return;
+    
+    this.entries.set(name, {
+      value: json,
+      expiresAt: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : Infinity
+    });
+    this.size += json.length;
+    this.evict();
+  }
+  
+  delete(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return;
+    this.entries.delete(name);
+    this.size -= entry.value.length;
+  }
+  
+  // 先清理过期记录，再从最久未使用的一端淘汰
+  evict() {
+    const now = Date.now();
+    for (const [name, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.delete(name);
+    }
+    while (this.entries.size > this.maxEntries || this.size > this.maxSize) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+// KV State Store - 跨 isolate 共享，重新部署后依然保留
+class KvStateStore {
+  constructor(namespace, prefix = KV_KEY_PREFIX) {
+    this.type = 'kv';
+    this.namespace = namespace;
+    this.prefix = prefix;
+  }
+  
+  async get(name) {
+    return this.namespace.get(this.prefix + name, 'json');
+  }
+  
+  async put(name, value, options) {
+    await this.namespace.put(this.prefix + name, JSON.stringify(value), options);
+  }
+}
+
+// Load Balance Strategies
+const LOAD_BALANCE_STRATEGIES = ['round-robin', 'random', 'weighted', 'least-in-flight', 'least-recently-used'];
+
 // API Key Pool Manager with Optimized Cooling System
 class ApiKeyPool {
-  constructor(keys, strategy = 'round-robin') {
-    this.keys = keys.filter(key => key && key.trim());
+  constructor(keys, strategy = 'round-robin', options = {}) {
+    this.baseKeys = keys.filter(key => key && key.trim());  // 环境变量配置的 keys
+    this.allKeys = [...this.baseKeys];     // 叠加管理接口配置后的所有 keys（含已禁用）
+    this.keys = [...this.baseKeys];        // 启用中的 keys
     this.strategy = strategy;
     this.currentIndex = 0;
+    this.weights = new Map();              // {key: 权重}，weighted 策略使用，默认 1
+    this.currentWeights = new Map();       // 平滑加权轮询的当前权重
+    this.inFlight = new Map();             // {key: 进行中的请求数}
+    this.lastUsed = new Map();             // {key: 最近使用序号}
+    this.useCounter = 0;
+    this.abortedRequests = 0;              // 客户端断开而取消的上游请求数
     this.failedKeys = new Set();           // 永久失效的 keys (401/403)
-    this.coolingKeys = new Map();          // 冷却中的 keys {key: 恢复时间戳}
+    this.coolingKeys = new Map();          // 冷却中的 keys {key: Map{模型: 恢复时间戳}}，ALL_MODELS 表示整个 key
     this.lastCleanup = 0;                  // 上次清理时间
     this.hasCoolingKeys = false;           // 性能优化：标记是否有冷却密钥
     
@@ -32,51 +150,141 @@ class ApiKeyPool {
     this.statsCache = null;
     this.statsCacheTime = 0;
     
+    // 共享状态：失效/冷却状态写入 store，其他 isolate 定期同步
+    this.store = options.store || new MemoryStateStore();
+    this.syncInterval = options.syncInterval ?? 30000;
+    this.lastSync = 0;
+    this.stateUpdatedAt = new Map();       // {key: 状态最后变更时间戳}，合并时以较新者为准
+    this.writeChain = Promise.resolve();
+    this.writePending = false;
+    
+    // 管理接口的 key 配置：新增的 keys（明文）、移除和禁用的 key 指纹
+    this.keyConfig = { added: [], removed: [], disabled: [] };
+    this.keyConfigUpdatedAt = 0;
+    
+    // 半开探测：失效/整个 key 冷却的 key 到期后发送一次探测请求，成功即恢复
+    this.probe = options.probe || null;    // async key => ({ ok, status })
+    this.probeInterval = options.probeInterval ?? 30 * 60000;
+    this.probeAfter = new Map();           // {key: 允许下次探测的时间戳}
+    this.probing = new Set();              // 正在探测的 keys，保证每个 key 同时只有一个探测
+    this.probeResults = new Map();         // {key: 最近一次探测结果}
+    
+    // 429 冷却时间上下限（分钟）
+    this.minCoolingMinutes = options.minCoolingMinutes ?? 1;
+    this.maxCoolingMinutes = options.maxCoolingMinutes ?? 24 * 60;
+    
+    // 配额追踪：{key: {rpm, tpm, rpd}}，未配置限制的 key 不做检查
+    this.quotaConfig = options.quotas || null;
+    this.quotaLimits = new Map();
+    this.usage = new Map();                // {key: 当前分钟/当天的用量窗口}
+    this.weightConfig = options.weights || null;
+    
     if (this.keys.length === 0) {
       throw new Error('No valid API keys provided');
     }
     
+    if (!LOAD_BALANCE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown load balance strategy: ${strategy}`);
+    }
+    
+    this.resolveKeySettings();
   }
   
-  getNextKey() {
-    // 快速路径：无冷却密钥时完全跳过所有检查
-    if (!this.hasCoolingKeys) {
-      return this.getAvailableKey();
+  // 按当前 key 集合解析配额和权重配置（key 集合变化后需重新解析）
+  resolveKeySettings() {
+    this.quotaLimits.clear();
+    this.weights.clear();
+    if (this.quotaConfig) {
+      this.configureQuotas(this.quotaConfig);
     }
-    
+    if (this.weightConfig) {
+      this.configureWeights(this.weightConfig);
+    }
+  }
+  
+  // 解析权重配置：{指纹: 权重}
+  configureWeights(weights) {
+    for (const key of this.allKeys) {
+      const weight = weights[fingerprintKey(key)];
+      if (weight === undefined) continue;
+      if (typeof weight !== 'number' || !(weight > 0)) {
+        throw new Error(`Invalid weight for key ${fingerprintKey(key)}: ${weight}`);
+      }
+      this.weights.set(key, weight);
+    }
+  }
+  
+  getNextKey(model) {
+    // 快速路径：无冷却密钥时完全跳过清理检查
     // 慢速路径：有冷却密钥时，1小时检查一次
-    const now = Date.now();
-    if (now - this.lastCleanup > 3600000) { // 1小时 = 3600000ms
-      this.cleanupExpiredKeys();
-      this.lastCleanup = now;
+    if (this.hasCoolingKeys) {
+      const now = Date.now();
+      if (now - this.lastCleanup > 3600000) { // 1小时 = 3600000ms
+        this.cleanupExpiredKeys();
+        this.lastCleanup = now;
+      }
     }
     
-    return this.getAvailableKey();
+    const key = this.getAvailableKey(model);
+    this.recordRequest(key);
+    this.inFlight.set(key, (this.inFlight.get(key) || 0) + 1);
+    this.lastUsed.set(key, ++this.useCounter);
+    return key;
+  }
+  
+  // 请求结束（无论成功失败）时释放 key，供 least-in-flight 策略统计
+  releaseKey(key) {
+    const count = this.inFlight.get(key) || 0;
+    if (count > 1) {
+      this.inFlight.set(key, count - 1);
+    } else {
+      this.inFlight.delete(key);
+    }
+  }
+  
+  // 客户端断开导致的取消不是 key 的问题，只计数，不影响 key 状态
+  recordAbortedRequest() {
+    this.abortedRequests++;
   }
   
-  getAvailableKey() {
+  getAvailableKey(model) {
     // 简化缓存逻辑：只在真正需要时才重建
     if (!this.cacheValid) {
       this.updateAvailableKeysCache();
     }
     
+    // 跳过在当前模型上冷却的 key
+    let candidates = this.filterModelCooling(this.availableKeysCache, model);
+    
     // 如果没有可用密钥，执行应急处理
-    if (this.availableKeysCache.length === 0) {
-      return this.handleEmergencyCase();
+    if (candidates.length === 0) {
+      return this.handleEmergencyCase(model);
+    }
+    
+    // 跳过即将触达配额的 key；全部触达时仍按原列表选择，交由上游 429 触发冷却
+    if (this.quotaLimits.size > 0) {
+      const withHeadroom = candidates.filter(key => this.hasQuotaHeadroom(key));
+      if (withHeadroom.length > 0) {
+        candidates = withHeadroom;
+      }
     }
     
     // 正常的密钥选择
     switch (this.strategy) {
       case 'round-robin':
-        return this.roundRobin(this.availableKeysCache);
+        return this.roundRobin(candidates);
       case 'random':
-        return this.random(this.availableKeysCache);
-      default:
-        return this.availableKeysCache[0];
+        return this.random(candidates);
+      case 'weighted':
+        return this.weighted(candidates);
+      case 'least-in-flight':
+        return this.leastInFlight(candidates);
+      case 'least-recently-used':
+        return this.leastRecentlyUsed(candidates);
     }
   }
   
-  handleEmergencyCase() {
+  handleEmergencyCase(model) {
     // 应急情况：立即检查一次是否有密钥可恢复
     if (this.hasCoolingKeys) {
       this.cleanupExpiredKeys();
@@ -86,8 +294,9 @@ class ApiKeyPool {
     }
     
     // 如果还是没有，使用冷却时间最短的密钥
-    if (this.availableKeysCache.length === 0) {
-      const emergencyKey = this.getNextCoolingKey();
+    const recovered = this.filterModelCooling(this.availableKeysCache, model);
+    if (recovered.length === 0) {
+      const emergencyKey = this.getNextCoolingKey(model);
       if (emergencyKey) {
         return emergencyKey;
       }
@@ -97,17 +306,25 @@ class ApiKeyPool {
       return this.keys[0];
     }
     
-    return this.availableKeysCache[0];
+    return recovered[0];
   }
   
-  // 性能优化：更新可用 keys 缓存
+  // 性能优化：更新可用 keys 缓存（只排除失效和整个 key 冷却的 keys）
   updateAvailableKeysCache() {
     this.availableKeysCache = this.keys.filter(key =>
-      !this.failedKeys.has(key) && !this.coolingKeys.has(key)
+      !this.failedKeys.has(key) && !this.coolingKeys.get(key)?.has(ALL_MODELS)
     );
     this.cacheValid = true;
   }
   
+  // 排除在指定模型上仍处于冷却期的 keys
+  filterModelCooling(keys, model) {
+    if (!model || !this.hasCoolingKeys) return keys;
+    
+    const now = Date.now();
+    return keys.filter(key => !(this.coolingKeys.get(key)?.get(model) > now));
+  }
+  
   // 性能优化：使缓存失效
   invalidateCache() {
     this.cacheValid = false;
@@ -125,19 +342,166 @@ class ApiKeyPool {
     return availableKeys[randomIndex];
   }
   
+  // 平滑加权轮询（nginx 算法）：分布均匀，不会连续命中同一个高权重 key
+  weighted(availableKeys) {
+    let totalWeight = 0;
+    let selected = null;
+    
+    for (const key of availableKeys) {
+      const weight = this.weights.get(key) ?? 1;
+      const current = (this.currentWeights.get(key) || 0) + weight;
+      this.currentWeights.set(key, current);
+      totalWeight += weight;
+      if (selected === null || current > this.currentWeights.get(selected)) {
+        selected = key;
+      }
+    }
+    
+    this.currentWeights.set(selected, this.currentWeights.get(selected) - totalWeight);
+    return selected;
+  }
+  
+  leastInFlight(availableKeys) {
+    let selected = availableKeys[0];
+    for (const key of availableKeys) {
+      if ((this.inFlight.get(key) || 0) < (this.inFlight.get(selected) || 0)) {
+        selected = key;
+      }
+    }
+    return selected;
+  }
+  
+  leastRecentlyUsed(availableKeys) {
+    let selected = availableKeys[0];
+    for (const key of availableKeys) {
+      if ((this.lastUsed.get(key) || 0) < (this.lastUsed.get(selected) || 0)) {
+        selected = key;
+      }
+    }
+    return selected;
+  }
+  
   // 永久标记失效（401/403 错误）
   markKeyFailed(key) {
     this.failedKeys.add(key);
     this.coolingKeys.delete(key); // 从冷却中移除
+    this.probeAfter.set(key, Date.now() + this.probeInterval);
     this.invalidateCache(); // 使缓存失效
+    this.persistKeys([key]);
   }
   
-  // 临时冷却（429/503/502/504 错误）
-  markKeyCooling(key, minutes) {
+  // 临时冷却（429/503/502/504 错误），指定 model 时只在该模型上冷却
+  markKeyCooling(key, minutes, model = ALL_MODELS) {
     const coolUntil = Date.now() + (minutes * 60 * 1000);
-    this.coolingKeys.set(key, coolUntil);
+    let models = this.coolingKeys.get(key);
+    if (!models) {
+      models = new Map();
+      this.coolingKeys.set(key, models);
+    }
+    models.set(model, coolUntil);
+    if (model === ALL_MODELS) {
+      // 冷却到期或探测间隔到达时（取较早者）进入半开状态
+      this.probeAfter.set(key, Math.min(coolUntil, Date.now() + this.probeInterval));
+    }
     this.hasCoolingKeys = true; // 标记有冷却密钥
     this.invalidateCache(); // 使缓存失效
+    this.persistKeys([key]);
+  }
+  
+  // 是否需要探测：失效或整个 key 冷却（按模型冷却无法用模型列表请求验证，等待到期）
+  needsProbe(key) {
+    return this.failedKeys.has(key) || this.coolingKeys.get(key)?.has(ALL_MODELS);
+  }
+  
+  // 执行到期的半开探测（在 ctx.waitUntil 中调用，不阻塞请求）
+  async runProbes() {
+    if (!this.probe || this.probeAfter.size === 0) return;
+    
+    const now = Date.now();
+    const due = [];
+    for (const [key, after] of this.probeAfter.entries()) {
+      if (!this.needsProbe(key)) {
+        this.probeAfter.delete(key);
+      } else if (now >= after && !this.probing.has(key)) {
+        due.push(key);
+      }
+    }
+    
+    await Promise.all(due.map(key => this.probeKey(key)));
+  }
+  
+  async probeKey(key) {
+    const state = this.failedKeys.has(key) ? 'failed' : 'cooling';
+    this.probing.add(key);
+    
+    let result;
+    try {
+      result = await this.probe(key);
+    } catch (err) {
+      result = { ok: false, status: null, error: err.message };
+    } finally {
+      this.probing.delete(key);
+    }
+    
+    const now = Date.now();
+    this.probeResults.set(key, { state, at: now, ok: result.ok, status: result.status, error: result.error });
+    
+    if (result.ok) {
+      this.restoreKey(key);
+      return;
+    }
+    
+    // 探测失败：保持原状态，冷却已到期的 key 再冷却一个探测间隔
+    this.probeAfter.set(key, now + this.probeInterval);
+    if (state === 'cooling' && now >= (this.coolingKeys.get(key)?.get(ALL_MODELS) ?? Infinity)) {
+      this.markKeyCooling(key, this.probeInterval / 60000);
+    }
+  }
+  
+  // 恢复 key：清除失效和整个 key 冷却状态（保留按模型的冷却）
+  restoreKey(key) {
+    if (!this.needsProbe(key)) return;
+    
+    this.failedKeys.delete(key);
+    const models = this.coolingKeys.get(key);
+    models?.delete(ALL_MODELS);
+    if (models?.size === 0) {
+      this.coolingKeys.delete(key);
+    }
+    this.hasCoolingKeys = this.coolingKeys.size > 0;
+    this.probeAfter.delete(key);
+    this.invalidateCache();
+    this.persistKeys([key]);
+  }
+  
+  // 获取探测详情（用于状态监控）
+  getProbeDetails() {
+    const details = [];
+    
+    for (const key of this.keys) {
+      const lastProbe = this.probeResults.get(key);
+      const nextProbeAt = this.probeAfter.get(key);
+      if (!lastProbe && !nextProbeAt) continue;
+      
+      details.push({
+        key: fingerprintKey(key),
+        state: this.failedKeys.has(key) ? 'failed' : this.needsProbe(key) ? 'cooling' : 'available',
+        nextProbeAt: nextProbeAt ? new Date(nextProbeAt).toISOString() : null,
+        lastProbe: lastProbe ? {
+          at: new Date(lastProbe.at).toISOString(),
+          fromState: lastProbe.state,
+          ok: lastProbe.ok,
+          status: lastProbe.status,
+          error: lastProbe.error
+        } : null
+      });
+    }
+    
+    return details;
+  }
+  
+  clampCoolingMinutes(minutes) {
+    return Math.min(Math.max(minutes, this.minCoolingMinutes), this.maxCoolingMinutes);
   }
   
   // 标记 key 成功使用
@@ -145,6 +509,86 @@ class ApiKeyPool {
     // 空实现，保持接口一致性
   }
   
+  // 解析配额配置：default/keys 的值可以是限制对象或 tiers 中的等级名称
+  configureQuotas({ default: defaults, tiers = {}, keys = {} }) {
+    for (const key of this.allKeys) {
+      let limits = keys[fingerprintKey(key)] ?? defaults;
+      if (typeof limits === 'string') {
+        if (!tiers[limits]) {
+          throw new Error(`Unknown quota tier: ${limits}`);
+        }
+        limits = tiers[limits];
+      }
+      if (limits) {
+        this.quotaLimits.set(key, limits);
+      }
+    }
+  }
+  
+  // 获取 key 的用量窗口，跨分钟/跨天（UTC）时重置计数
+  getUsage(key, now = Date.now()) {
+    const minute = Math.floor(now / 60000);
+    const day = Math.floor(now / 86400000);
+    let usage = this.usage.get(key);
+    
+    if (!usage) {
+      usage = { minute, minuteRequests: 0, minuteTokens: 0, day, dayRequests: 0 };
+      this.usage.set(key, usage);
+    }
+    if (usage.minute !== minute) {
+      usage.minute = minute;
+      usage.minuteRequests = 0;
+      usage.minuteTokens = 0;
+    }
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.dayRequests = 0;
+    }
+    
+    return usage;
+  }
+  
+  hasQuotaHeadroom(key) {
+    const limits = this.quotaLimits.get(key);
+    if (!limits) return true;
+    
+    const usage = this.getUsage(key);
+    return !(usage.minuteRequests >= limits.rpm ||
+      usage.minuteTokens >= limits.tpm ||
+      usage.dayRequests >= limits.rpd);
+  }
+  
+  // 记录一次请求（在分配 key 时计数，保证并发请求也计入 RPM）
+  recordRequest(key) {
+    if (!this.quotaLimits.has(key)) return;
+    const usage = this.getUsage(key);
+    usage.minuteRequests++;
+    usage.dayRequests++;
+  }
+  
+  // 根据 usageMetadata 记录 token 用量
+  recordTokens(key, usageMetadata) {
+    if (!this.quotaLimits.has(key) || !usageMetadata) return;
+    this.getUsage(key).minuteTokens += usageMetadata.totalTokenCount || 0;
+  }
+  
+  // 获取配额余量（用于状态监控）
+  getQuotaDetails() {
+    const headroom = (limit, used) => limit === undefined
+      ? { limit: null, used, remaining: null }
+      : { limit, used, remaining: Math.max(limit - used, 0) };
+    
+    return [...this.quotaLimits.entries()].map(([key, limits]) => {
+      const usage = this.getUsage(key);
+      return {
+        key: fingerprintKey(key),
+        rpm: headroom(limits.rpm, usage.minuteRequests),
+        tpm: headroom(limits.tpm, usage.minuteTokens),
+        rpd: headroom(limits.rpd, usage.dayRequests)
+      };
+    });
+  }
+  
   // 清理过期的冷却状态
   cleanupExpiredKeys() {
     if (!this.hasCoolingKeys) return;
@@ -152,10 +596,15 @@ class ApiKeyPool {
     const now = Date.now();
     let cleanedCount = 0;
     
-    for (const [key, coolUntil] of this.coolingKeys.entries()) {
-      if (now >= coolUntil) {
+    for (const [key, models] of this.coolingKeys.entries()) {
+      for (const [model, coolUntil] of models.entries()) {
+        if (now >= coolUntil) {
+          models.delete(model);
+          cleanedCount++;
+        }
+      }
+      if (models.size === 0) {
         this.coolingKeys.delete(key);
-        cleanedCount++;
       }
     }
     
@@ -167,24 +616,240 @@ class ApiKeyPool {
     }
   }
   
-  // 获取冷却时间最短的 key
-  getNextCoolingKey() {
-    if (this.coolingKeys.size === 0) return null;
+  // 获取对指定模型冷却时间最短的 key
+  getNextCoolingKey(model) {
+    let selected = null;
+    let earliest = Infinity;
+    
+    for (const [key, models] of this.coolingKeys.entries()) {
+      const coolUntil = Math.max(models.get(ALL_MODELS) || 0, (model && models.get(model)) || 0);
+      if (coolUntil < earliest) {
+        earliest = coolUntil;
+        selected = key;
+      }
+    }
     
-    const entries = [...this.coolingKeys.entries()];
-    entries.sort(([,a], [,b]) => a - b);
-    return entries[0][0];
+    return selected;
   }
   
   // 重置所有状态
   resetAllKeys() {
     this.failedKeys.clear();
     this.coolingKeys.clear();
+    this.probeAfter.clear();
     this.hasCoolingKeys = false; // 重置冷却状态标记
     this.invalidateCache(); // 重置时使缓存失效
+    this.persistKeys(this.keys);
+  }
+  
+  // 从共享存储同步状态（节流，默认 30 秒一次）
+  async sync(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastSync < this.syncInterval) return;
+    this.lastSync = now;
+    
+    try {
+      const [keyConfig, state] = await Promise.all([
+        this.store.get(KEY_CONFIG_NAME),
+        this.store.get(POOL_STATE_NAME)
+      ]);
+      if (keyConfig && keyConfig.updatedAt > this.keyConfigUpdatedAt) {
+        this.applyKeyConfig(keyConfig);
+      }
+      if (state) this.applyState(state);
+    } catch (err) {
+      console.error('Failed to sync key pool state:', err.message);
+    }
+  }
+  
+  // 合并远端状态：逐个 key 比较变更时间，较新的一方生效
+  applyState(state) {
+    let changed = false;
+    
+    for (const key of this.allKeys) {
+      const entry = state.keys?.[fingerprintKey(key)];
+      if (!entry || entry.updatedAt <= (this.stateUpdatedAt.get(key) || 0)) continue;
+      
+      if (entry.failed) {
+        this.failedKeys.add(key);
+      } else {
+        this.failedKeys.delete(key);
+      }
+      
+      const now = Date.now();
+      const models = new Map(Object.entries(entry.cooling || {}).filter(([, coolUntil]) => coolUntil > now));
+      if (models.size > 0) {
+        this.coolingKeys.set(key, models);
+      } else {
+        this.coolingKeys.delete(key);
+      }
+      
+      // 其他 isolate 标记的 key 同样需要在本地安排探测
+      if (this.needsProbe(key) && !this.probeAfter.has(key)) {
+        this.probeAfter.set(key, Date.now() + this.probeInterval);
+      }
+      
+      this.stateUpdatedAt.set(key, entry.updatedAt);
+      changed = true;
+    }
+    
+    if (changed) {
+      this.hasCoolingKeys = this.coolingKeys.size > 0;
+      this.invalidateCache();
+    }
+  }
+  
+  // 单个 key 的持久化表示
+  serializeKey(key) {
+    return {
+      failed: this.failedKeys.has(key),
+      cooling: Object.fromEntries(this.coolingKeys.get(key) || []),
+      updatedAt: this.stateUpdatedAt.get(key) || 0
+    };
+  }
+  
+  // 记录状态变更，并合并为一次异步写入
+  persistKeys(keys) {
+    const now = Date.now();
+    for (const key of keys) {
+      this.stateUpdatedAt.set(key, now);
+    }
+    
+    if (this.writePending) return;
+    this.writePending = true;
+    this.writeChain = this.writeChain
+      .then(() => {
+        this.writePending = false;
+        return this.writeState();
+      })
+      .catch(err => {
+        console.error('Failed to persist key pool state:', err.message);
+      });
+  }
+  
+  async writeState() {
+    // 先读后写，保留其他 isolate 写入的较新状态
+    const remote = (await this.store.get(POOL_STATE_NAME)) || { keys: {} };
+    this.applyState(remote);
+    
+    const entries = { ...remote.keys };
+    for (const key of this.allKeys) {
+      const fingerprint = fingerprintKey(key);
+      if ((this.stateUpdatedAt.get(key) || 0) > (entries[fingerprint]?.updatedAt || 0)) {
+        entries[fingerprint] = this.serializeKey(key);
+      }
+    }
+    
+    await this.store.put(POOL_STATE_NAME, { keys: entries, updatedAt: Date.now() });
+  }
+  
+  // 等待待写入的状态落盘（配合 ctx.waitUntil 使用）
+  flush() {
+    return this.writeChain;
+  }
+  
+  // 应用管理接口的 key 配置，重新计算 key 集合
+  applyKeyConfig(config) {
+    this.keyConfig = {
+      added: config.added || [],
+      removed: config.removed || [],
+      disabled: config.disabled || []
+    };
+    this.keyConfigUpdatedAt = config.updatedAt || 0;
+    
+    const removed = new Set(this.keyConfig.removed);
+    const disabled = new Set(this.keyConfig.disabled);
+    this.allKeys = [...new Set([...this.baseKeys, ...this.keyConfig.added])]
+      .filter(key => !removed.has(fingerprintKey(key)));
+    this.keys = this.allKeys.filter(key => !disabled.has(fingerprintKey(key)));
+    
+    // 配置不应导致没有可用 key（例如环境变量变更后），此时忽略配置
+    if (this.keys.length === 0) {
+      console.error('Key config leaves no enabled keys, falling back to GEMINI_API_KEYS');
+      this.allKeys = [...this.baseKeys];
+      this.keys = [...this.baseKeys];
+    }
+    
+    this.resolveKeySettings();
+    this.invalidateCache();
+  }
+  
+  async saveKeyConfig(config) {
+    config.updatedAt = Date.now();
+    await this.store.put(KEY_CONFIG_NAME, config);
+    this.applyKeyConfig(config);
+  }
+  
+  findKey(fingerprint) {
+    return this.allKeys.find(key => fingerprintKey(key) === fingerprint) || null;
+  }
+  
+  async addKey(key) {
+    const fingerprint = fingerprintKey(key);
+    const config = {
+      ...this.keyConfig,
+      added: this.baseKeys.includes(key) ? this.keyConfig.added : [...this.keyConfig.added, key],
+      removed: this.keyConfig.removed.filter(item => item !== fingerprint)
+    };
+    await this.saveKeyConfig(config);
+    return fingerprint;
+  }
+  
+  async removeKey(fingerprint) {
+    const key = this.findKey(fingerprint);
+    // 先清除并写入状态：writeState 只序列化 allKeys，移除后就无法再清除该 key 的记录
+    this.resetKey(key);
+    await this.flush();
+    await this.saveKeyConfig({
+      added: this.keyConfig.added.filter(item => item !== key),
+      // 环境变量中的 key 无法删除，记录为已移除
+      removed: this.baseKeys.includes(key) ? [...this.keyConfig.removed, fingerprint] : this.keyConfig.removed,
+      disabled: this.keyConfig.disabled.filter(item => item !== fingerprint)
+    });
+  }
+  
+  async setKeyDisabled(fingerprint, disabled) {
+    const others = this.keyConfig.disabled.filter(item => item !== fingerprint);
+    await this.saveKeyConfig({
+      ...this.keyConfig,
+      disabled: disabled ? [...others, fingerprint] : others
+    });
   }
   
+  // 清除单个 key 的失效和冷却状态（包括按模型的冷却）
+  resetKey(key) {
+    this.failedKeys.delete(key);
+    this.coolingKeys.delete(key);
+    this.probeAfter.delete(key);
+    this.hasCoolingKeys = this.coolingKeys.size > 0;
+    this.invalidateCache();
+    this.persistKeys([key]);
+  }
+  
+  // 获取 key 列表详情（管理接口使用）
+  listKeys() {
+    const now = Date.now();
+    const disabled = new Set(this.keyConfig.disabled);
+    
+    return this.allKeys.map(key => {
+      const fingerprint = fingerprintKey(key);
+      const cooling = [...(this.coolingKeys.get(key) || new Map()).entries()]
+        .filter(([, coolUntil]) => now < coolUntil)
+        .map(([model, coolUntil]) => ({ model, until: new Date(coolUntil).toISOString() }));
+      
+      return {
+        fingerprint,
+        key: key.substring(0, 10) + '...',
+        source: this.baseKeys.includes(key) ? 'env' : 'admin',
+        enabled: !disabled.has(fingerprint),
+        failed: this.failedKeys.has(key),
+        cooling,
+        inFlight: this.inFlight.get(key) || 0
+      };
+    });
+  }
   
+
   // 获取详细统计信息 - 性能优化：缓存计算结果
   getStats() {
     const now = Date.now();
@@ -194,15 +859,36 @@ class ApiKeyPool {
       return this.statsCache;
     }
     
-    const activeCooling = [...this.coolingKeys.values()]
-      .filter(coolUntil => now < coolUntil).length;
+    // 只统计启用中的 keys
+    let failedCount = 0;
+    let activeCooling = 0;
+    let activeModelCooling = 0;
+    for (const key of this.keys) {
+      if (this.failedKeys.has(key)) {
+        failedCount++;
+      }
+      for (const [model, coolUntil] of this.coolingKeys.get(key) || []) {
+        if (now >= coolUntil) continue;
+        if (model === ALL_MODELS) {
+          activeCooling++;
+        } else {
+          activeModelCooling++;
+        }
+      }
+    }
     
     this.statsCache = {
       totalKeys: this.keys.length,
-      availableKeys: this.keys.length - this.failedKeys.size - activeCooling,
-      failedKeys: this.failedKeys.size,
+      availableKeys: this.keys.length - failedCount - activeCooling,
+      failedKeys: failedCount,
+      disabledKeys: this.allKeys.length - this.keys.length,
       coolingKeys: activeCooling,
-      strategy: this.strategy
+      modelCooling: activeModelCooling,
+      strategy: this.strategy,
+      inFlightRequests: [...this.inFlight.values()].reduce((sum, count) => sum + count, 0),
+      abortedRequests: this.abortedRequests,
+      stateBackend: this.store.type,
+      quotas: this.quotaLimits.size > 0 ? this.getQuotaDetails() : undefined
     };
     this.statsCacheTime = now;
     
@@ -214,14 +900,17 @@ class ApiKeyPool {
     const now = Date.now();
     const details = [];
     
-    for (const [key, coolUntil] of this.coolingKeys.entries()) {
-      if (now < coolUntil) {
+    for (const [key, models] of this.coolingKeys.entries()) {
+      for (const [model, coolUntil] of models.entries()) {
+        if (now >= coolUntil) continue;
+        
         const remainingMs = coolUntil - now;
         const remainingMinutes = Math.ceil(remainingMs / 60000);
         const remainingHours = Math.floor(remainingMinutes / 60);
         
         details.push({
           key: key.substring(0, 10) + '...',
+          model,
           remainingMinutes,
           remainingHours: remainingHours > 0 ? remainingHours : 0,
           remainingDisplay: remainingHours > 0
@@ -235,38 +924,522 @@ class ApiKeyPool {
   }
 }
 
-// Authentication Manager
-class AuthManager {
-  constructor(validTokens) {
-    this.validTokens = new Set(validTokens.filter(token => token && token.trim()));
+// Scope Matching - 精确匹配，或以 * 结尾的前缀匹配
+function matchesScope(value, pattern) {
+  return pattern.endsWith('*')
+    ? value.startsWith(pattern.slice(0, -1))
+    : value === pattern;
+}
+
+// Token Identity - endpoints/models 为 null 表示不限制
+function createTokenIdentity({ token, name, endpoints, models, expiresAt, admin, rateLimit, budget }, defaults = {}) {
+  if (typeof token !== 'string' || !token.trim()) {
+    throw new Error('Token config entry is missing "token"');
   }
   
-  validateToken(token) {
-    return this.validTokens.has(token);
+  const expiry = expiresAt ? Date.parse(expiresAt) : null;
+  if (Number.isNaN(expiry)) {
+    throw new Error(`Invalid expiresAt for token ${name || fingerprintKey(token)}: ${expiresAt}`);
   }
   
-  getValidTokenCount() {
-    return this.validTokens.size;
-  }
+  return {
+    name: name || `token-${fingerprintKey(token)}`,
+    endpoints: Array.isArray(endpoints) ? endpoints : null,
+    models: Array.isArray(models) ? models : null,
+    expiresAt: expiry,
+    admin: admin === true,
+    rateLimit: rateLimit ?? defaults.rateLimit ?? null,
+    budget: budget ?? defaults.budget ?? null
+  };
 }
 
-// Global instances (will be initialized in fetch handler)
-let keyPool = null;
-let authManager = null;
-
-const COMMON_HEADERS = {
-  JSON: new Headers({ ...BASE_HEADERS, "Content-Type": CONTENT_TYPE_JSON }),
-  SSE: new Headers({ ...BASE_HEADERS, "Content-Type": CONTENT_TYPE_SSE })
-};
-
-// API Constants
-const DEFAULT_MODEL = "gemini-2.5-flash";
-const BASE_URL = "https://generativelanguage.googleapis.com";
-const API_VERSION = "v1beta";
-const API_CLIENT = "genai-js/0.19.0";
+// Authentication Manager
+class AuthManager {
+  constructor(validTokens, adminTokens = [], options = {}) {
+    // 未单独配置的 token 使用的默认设置（rateLimit、budget）
+    this.defaults = {
+      rateLimit: options.defaultRateLimit || null,
+      budget: options.defaultBudget || null
+    };
+    
+    // 环境变量中的 tokens：VALID_AUTH_TOKENS 不限制权限，ADMIN_TOKENS 只能访问管理接口
+    this.staticTokens = new Map();
+    for (const token of validTokens.filter(token => token && token.trim())) {
+      this.staticTokens.set(token, createTokenIdentity({ token }, this.defaults));
+    }
+    for (const token of adminTokens.filter(token => token && token.trim())) {
+      this.staticTokens.set(token, createTokenIdentity({
+        token,
+        name: `admin-${fingerprintKey(token)}`,
+        endpoints: ['/admin/*'],
+        admin: true
+      }));
+    }
+    for (const entry of options.tokenConfig || []) {
+      this.staticTokens.set(entry.token, createTokenIdentity(entry, this.defaults));
+    }
+    this.tokens = new Map(this.staticTokens);
+    
+    // KV 中的 token 配置，与环境变量合并（同一 token 以 KV 为准）
+    this.store = options.store || null;
+    this.syncInterval = options.syncInterval ?? 30000;
+    this.lastSync = 0;
+  }
+  
+  async sync(force = false) {
+    const now = Date.now();
+    if (!this.store || (!force && now - this.lastSync < this.syncInterval)) return;
+    this.lastSync = now;
+    
+    try {
+      const entries = await this.store.get(AUTH_TOKENS_NAME);
+      const tokens = new Map(this.staticTokens);
+      for (const entry of Array.isArray(entries) ? entries : []) {
+        tokens.set(entry.token, createTokenIdentity(entry, this.defaults));
+      }
+      this.tokens = tokens;
+    } catch (err) {
+      console.error('Failed to sync auth tokens:', err.message);
+    }
+  }
+  
+  // 返回 token 的身份信息，无效或已过期时返回 null
+  validateToken(token) {
+    const identity = this.tokens.get(token);
+    if (!identity) return null;
+    if (identity.expiresAt && Date.now() >= identity.expiresAt) return null;
+    return identity;
+  }
+  
+  isEndpointAllowed(identity, path) {
+    return !identity.endpoints || identity.endpoints.some(pattern => matchesScope(path, pattern));
+  }
+  
+  isModelAllowed(identity, model) {
+    return !identity?.models || identity.models.some(pattern => matchesScope(model, pattern));
+  }
+  
+  getValidTokenCount() {
+    return this.tokens.size;
+  }
+}
+
+// Client Rate Limiting
+// 按 token 限制每分钟请求数（rpm）和 token 数（tpm），使用 60 秒固定窗口
+const RATE_LIMIT_WINDOW_MS = 60000;
+
+function currentRateLimitWindow(window, now) {
+  if (window && now - window.start < RATE_LIMIT_WINDOW_MS) {
+    return window;
+  }
+  return { start: now - (now % RATE_LIMIT_WINDOW_MS), requests: 0, tokens: 0 };
+}
+
+// 检查窗口内的额度，允许时计入本次请求
+function acquireRateLimit(window, { rpm, tpm }, now) {
+  let limitedBy = null;
+  if (rpm && window.requests >= rpm) {
+    limitedBy = 'requests';
+  } else if (tpm && window.tokens >= tpm) {
+    limitedBy = 'tokens';
+  }
+  if (!limitedBy) {
+    window.requests++;
+  }
+  
+  return {
+    allowed: !limitedBy,
+    limitedBy,
+    resetMs: window.start + RATE_LIMIT_WINDOW_MS - now,
+    requests: rpm ? { limit: rpm, remaining: Math.max(0, rpm - window.requests) } : null,
+    tokens: tpm ? { limit: tpm, remaining: Math.max(0, tpm - window.tokens) } : null
+  };
+}
+
+// 单 isolate 内存限流：未绑定 RATE_LIMITER 时使用
+class MemoryRateLimiter {
+  constructor() {
+    this.type = 'memory';
+    this.windows = new Map();
+  }
+  
+  async acquire(name, limits) {
+    const now = Date.now();
+    const window = currentRateLimitWindow(this.windows.get(name), now);
+    this.windows.set(name, window);
+    return acquireRateLimit(window, limits, now);
+  }
+  
+  async recordTokens(name, tokens) {
+    const window = currentRateLimitWindow(this.windows.get(name), Date.now());
+    window.tokens += tokens;
+    this.windows.set(name, window);
+  }
+}
+
+// Durable Object 限流：每个 token 一个对象实例，计数在所有 isolate 间一致
+class DurableObjectRateLimiter {
+  constructor(namespace) {
+    this.type = 'durable-object';
+    this.namespace = namespace;
+  }
+  
+  async call(name, action, body) {
+    const stub = this.namespace.get(this.namespace.idFromName(name));
+    const response = await stub.fetch(`https://rate-limiter/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`Rate limiter ${action} failed: ${response.status}`);
+    }
+    return response.json();
+  }
+  
+  acquire(name, limits) {
+    return this.call(name, 'acquire', { limits });
+  }
+  
+  recordTokens(name, tokens) {
+    return this.call(name, 'record', { tokens });
+  }
+  
+  getUsage(name) {
+    return this.call(name, 'usage', {});
+  }
+  
+  recordUsage(name, delta) {
+    return this.call(name, 'usage/record', { delta });
+  }
+}
+
+// Durable Object 类：通过 wrangler.toml 绑定为 RATE_LIMITER
+// 限流窗口只保存在内存中，对象被驱逐时计数随之重置；用量预算计数保存在对象存储中
+export class TokenRateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.window = null;
+  }
+  
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const body = await request.json();
+    const now = Date.now();
+    this.window = currentRateLimitWindow(this.window, now);
+    
+    if (pathname === '/acquire') {
+      return createJsonResponse(acquireRateLimit(this.window, body.limits, now));
+    }
+    if (pathname === '/record') {
+      this.window.tokens += body.tokens || 0;
+      return createJsonResponse({ tokens: this.window.tokens });
+    }
+    // 对象内的存储操作按顺序执行，读改写不会丢失并发请求的用量
+    if (pathname === '/usage') {
+      return createJsonResponse(normalizeTokenUsage(await this.state.storage.get('usage')));
+    }
+    if (pathname === '/usage/record') {
+      const usage = normalizeTokenUsage(await this.state.storage.get('usage'));
+      addTokenUsage(usage, body.delta);
+      await this.state.storage.put('usage', usage);
+      return createJsonResponse(usage);
+    }
+    return new Response('Not Found', { status: 404 });
+  }
+}
+
+// OpenAI 风格的限流响应头
+function createRateLimitHeaders(result) {
+  const headers = {};
+  const reset = `${Math.ceil(result.resetMs / 1000)}s`;
+  for (const type of ['requests', 'tokens']) {
+    if (!result[type]) continue;
+    headers[`x-ratelimit-limit-${type}`] = String(result[type].limit);
+    headers[`x-ratelimit-remaining-${type}`] = String(result[type].remaining);
+    headers[`x-ratelimit-reset-${type}`] = reset;
+  }
+  return headers;
+}
+
+// 限流器不可用时放行请求，避免影响正常服务
+async function acquireClientRateLimit(identity) {
+  try {
+    return await rateLimiter.acquire(identity.name, identity.rateLimit);
+  } catch (err) {
+    console.error(`[${identity.name}] Rate limiter unavailable:`, err.message);
+    return null;
+  }
+}
+
+// 将响应中的 token 用量计入该 token 的 tpm 窗口和每日/每月用量
+function recordClientUsage(ctx, identity, usageMetadata, model) {
+  // 在响应回调中调用，不能抛出异常，否则已经完成的请求会返回 500
+  if (!usageMetadata || !usageTracker) return;
+  
+  const pending = [
+    usageTracker.record(identity.name, model, usageMetadata)
+      .catch(err => console.error(`[${identity.name}] Failed to record usage:`, err.message))
+  ];
+  if (identity.rateLimit?.tpm && usageMetadata.totalTokenCount) {
+    pending.push(rateLimiter.recordTokens(identity.name, usageMetadata.totalTokenCount)
+      .catch(err => console.error(`[${identity.name}] Failed to record token usage:`, err.message)));
+  }
+  ctx?.waitUntil(Promise.all(pending));
+}
+
+function createRateLimitResponse(identity, result, route) {
+  const limit = result[result.limitedBy].limit;
+  return createRouteErrorResponse(
+    route,
+    429,
+    `Rate limit reached for ${identity.name}: ${limit} ${result.limitedBy} per minute. Please try again in ${Math.ceil(result.resetMs / 1000)}s.`,
+    { ...createRateLimitHeaders(result), 'Retry-After': String(Math.ceil(result.resetMs / 1000)) }
+  );
+}
+
+// Token Usage Budgets
+// 按 token 统计每日/每月用量（UTC 自然日、自然月），超出预算后拒绝请求
+const TOKEN_USAGE_PREFIX = 'usage:';
+
+// 每百万 token 的估算价格（美元），MODEL_PRICING 可覆盖或补充；多个模式匹配时取最长的
+const DEFAULT_MODEL_PRICING = {
+  'gemini-2.5-pro*': { input: 1.25, output: 10 },
+  'gemini-2.5-flash*': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite*': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash*': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite*': { input: 0.075, output: 0.3 }
+};
+
+const BUDGET_PERIODS = ['daily', 'monthly'];
+
+function createEmptyUsage() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+// 将一次或多次请求的用量累加到每个统计周期
+function addTokenUsage(usage, delta) {
+  for (const period of BUDGET_PERIODS) {
+    for (const field of Object.keys(delta)) {
+      usage[period][field] += delta[field];
+    }
+  }
+  return usage;
+}
+
+// 丢弃已经结束的统计周期
+function normalizeTokenUsage(record, now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  return {
+    day,
+    month,
+    daily: record?.day === day ? record.daily : createEmptyUsage(),
+    monthly: record?.month === month ? record.monthly : createEmptyUsage()
+  };
+}
+
+function getBudgetResetTime(period, now = new Date()) {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+class TokenUsageTracker {
+  // counter 为 DurableObjectRateLimiter 时用量保存在 Durable Object 中，否则保存在 store 中
+  constructor(store, options = {}) {
+    this.store = store;
+    this.counter = options.counter || null;
+    this.pricing = { ...DEFAULT_MODEL_PRICING, ...options.pricing };
+    this.syncInterval = options.syncInterval ?? 30000;
+    this.cache = new Map();      // token 名称 -> { usage, fetchedAt }
+    this.writeChains = new Map(); // token 名称 -> 写入队列，同一 isolate 内串行读改写
+    this.pending = new Map();     // token 名称 -> 等待写入的用量增量
+  }
+  
+  async getUsage(name, force = false) {
+    const now = Date.now();
+    const cached = this.cache.get(name);
+    if (!force && cached && now - cached.fetchedAt < this.syncInterval) {
+      return normalizeTokenUsage(cached.usage);
+    }
+    
+    const usage = this.counter
+      ? await this.counter.getUsage(name)
+      : normalizeTokenUsage(await this.store.get(TOKEN_USAGE_PREFIX + name));
+    this.cache.set(name, { usage, fetchedAt: now });
+    return usage;
+  }
+  
+  getModelPrice(model) {
+    let match = null;
+    for (const pattern of Object.keys(this.pricing)) {
+      if (matchesScope(model, pattern) && (!match || pattern.length > match.length)) {
+        match = pattern;
+      }
+    }
+    return match ? this.pricing[match] : null;
+  }
+  
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.getModelPrice(model);
+    if (!price) return 0;
+    return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+  }
+  
+  createUsageDelta(model, usageMetadata) {
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    // 思考 token 按输出 token 计费
+    const completionTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+    return {
+      requests: 1,
+      promptTokens,
+      completionTokens,
+      totalTokens: usageMetadata.totalTokenCount || promptTokens + completionTokens,
+      cost: this.estimateCost(model, promptTokens, completionTokens)
+    };
+  }
+  
+  async record(name, model, usageMetadata) {
+    const delta = this.createUsageDelta(model, usageMetadata);
+    if (this.counter) {
+      const usage = await this.counter.recordUsage(name, delta);
+      this.cache.set(name, { usage, fetchedAt: Date.now() });
+      return;
+    }
+    
+    // 上一次写入未完成时合并到同一批增量中，每批只读写一次 KV
+    const pending = this.pending.get(name);
+    if (pending) {
+      for (const field of Object.keys(delta)) {
+        pending.delta[field] += delta[field];
+      }
+      return pending.write;
+    }
+    
+    const batch = { delta };
+    batch.write = (this.writeChains.get(name) || Promise.resolve()).then(() => {
+      this.pending.delete(name);
+      return this.applyUsage(name, batch.delta);
+    });
+    this.pending.set(name, batch);
+    
+    const chain = batch.write.catch(() => {});
+    this.writeChains.set(name, chain);
+    chain.then(() => {
+      if (this.writeChains.get(name) === chain) this.writeChains.delete(name);
+    });
+    return batch.write;
+  }
+  
+  async applyUsage(name, delta) {
+    // 写入前重新读取，缩小多个 isolate 同时写入时丢失更新的窗口
+    const usage = addTokenUsage(await this.getUsage(name, true), delta);
+    this.cache.set(name, { usage, fetchedAt: Date.now() });
+    await this.store.put(TOKEN_USAGE_PREFIX + name, usage);
+  }
+  
+  // 返回第一个已用尽的预算，均未用尽时返回 null
+  findExhaustedBudget(budget, usage) {
+    for (const period of BUDGET_PERIODS) {
+      const limits = budget[period];
+      if (!limits) continue;
+      const used = usage[period];
+      if (limits.tokens !== undefined && used.totalTokens >= limits.tokens) {
+        return { period, kind: 'tokens', limit: limits.tokens, used: used.totalTokens };
+      }
+      if (limits.cost !== undefined && used.cost >= limits.cost) {
+        return { period, kind: 'cost', limit: limits.cost, used: used.cost };
+      }
+    }
+    return null;
+  }
+}
+
+// 存储不可用时放行请求，避免影响正常服务
+async function checkClientBudget(identity) {
+  try {
+    const usage = await usageTracker.getUsage(identity.name);
+    return usageTracker.findExhaustedBudget(identity.budget, usage);
+  } catch (err) {
+    console.error(`[${identity.name}] Failed to check usage budget:`, err.message);
+    return null;
+  }
+}
+
+// OpenAI 风格的额度耗尽响应；其他协议的端点使用各自的 429 错误格式
+function createBudgetExceededResponse(identity, exhausted, route) {
+  const limit = exhausted.kind === 'cost' ? `$${exhausted.limit}` : `${exhausted.limit} tokens`;
+  const resetAt = getBudgetResetTime(exhausted.period).toISOString();
+  const message = `You exceeded the ${exhausted.period} ${exhausted.kind === 'cost' ? 'spend' : 'token'} budget for ${identity.name} (${limit}). The budget resets at ${resetAt}.`;
+  if (route.name === 'messages' || route.name === 'native') {
+    return createRouteErrorResponse(route, 429, message);
+  }
+  return new Response(
+    JSON.stringify({
+      error: {
+        message,
+        type: 'insufficient_quota',
+        code: 'insufficient_quota'
+      }
+    }),
+    { status: 429, headers: COMMON_HEADERS.JSON }
+  );
+}
+
+// Responses Conversation Store
+// 按响应 id 保存会话记录（所属 token 和全部输入/输出 items），供 previous_response_id 继续对话；
+// 底层可以是任意实现 get/put 的状态存储（KV 或 LruMemoryStore），记录按 ttl（秒）过期
+const RESPONSE_STORE_PREFIX = 'response:';
+
+class ConversationStore {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.ttl = options.ttl || null;
+  }
+  
+  async get(id) {
+    return this.store.get(RESPONSE_STORE_PREFIX + id);
+  }
+  
+  async put(id, record) {
+    await this.store.put(RESPONSE_STORE_PREFIX + id, record, this.ttl ? { expirationTtl: this.ttl } : undefined);
+  }
+}
+
+// Global instances (will be initialized in fetch handler)
+let keyPool = null;
+let authManager = null;
+let rateLimiter = null;
+let usageTracker = null;
+let conversationStore = null;
+let streamOptions = { heartbeatInterval: 15000, idleTimeout: 300000 };
+let modelOptions = null;
+
+const COMMON_HEADERS = {
+  JSON: new Headers({ ...BASE_HEADERS, "Content-Type": CONTENT_TYPE_JSON }),
+  SSE: new Headers({ ...BASE_HEADERS, "Content-Type": CONTENT_TYPE_SSE })
+};
+
+// API Constants
+const DEFAULT_MODEL = "gemini-2.5-flash";
+const DEFAULT_EMBEDDING_MODEL = "embedding-001";
+const BASE_URL = "https://generativelanguage.googleapis.com";
+const API_VERSION = "v1beta";
+const API_CLIENT = "genai-js/0.19.0";
+
+// 模型别名：客户端使用的模型名 -> Gemini 模型，可用 MODEL_ALIASES 覆盖或新增
+const DEFAULT_MODEL_ALIASES = {
+  "gpt-4o": "gemini-2.5-pro",
+  "gpt-4o-mini": "gemini-2.5-flash",
+  "text-embedding-3-small": "gemini-embedding-001",
+  "text-embedding-3-large": "gemini-embedding-001"
+};
+
+// 不在别名表中时，按前缀识别 Gemini API 的模型名
+const GEMINI_MODEL_PREFIXES = ["gemini-", "gemma-", "learnlm-", "embedding-", "text-embedding-0"];
 
 // Validation Constants
-const VALID_ROLES = { user: 1, assistant: 1, system: 1 };
+const VALID_ROLES = { user: 1, assistant: 1, system: 1, tool: 1 };
 const VALID_CONTENT_TYPES = { text: 1, image_url: 1, input_audio: 1 };
 
 // Safety Settings
@@ -285,18 +1458,29 @@ const fieldsMap = {
   max_tokens: 'maxOutputTokens',
   temperature: 'temperature',
   top_p: 'topP',
+  top_k: 'topK',
   frequency_penalty: 'frequencyPenalty',
   presence_penalty: 'presencePenalty'
 };
 
+// reasoning_effort 对应的思考预算（token 数），none 关闭思考
+const REASONING_EFFORT_BUDGETS = {
+  none: 0,
+  minimal: 512,
+  low: 1024,
+  medium: 8192,
+  high: 24576
+};
+
 // Error Templates
 const ERROR_TEMPLATES = {
   400: msg => ({ error: { message: msg, type: 'invalid_request_error', code: 400 } }),
   401: () => ({ error: { message: 'Missing API key', type: 'invalid_request_error', code: 401 } }),
-  403: () => ({ error: { message: 'Forbidden', type: 'invalid_request_error', code: 403 } }),
-  404: () => ({ error: { message: 'Not Found', type: 'invalid_request_error', code: 404 } }),
+  403: msg => ({ error: { message: msg || 'Forbidden', type: 'invalid_request_error', code: 403 } }),
+  404: msg => ({ error: { message: msg || 'Not Found', type: 'invalid_request_error', code: 404 } }),
   405: msg => ({ error: { message: msg || 'Method not allowed', type: 'invalid_request_error', code: 405 } }),
-  429: () => ({ error: { message: 'Too many requests', type: 'rate_limit_error', code: 429 } }),
+  429: msg => ({ error: { message: msg || 'Too many requests', type: 'rate_limit_error', code: 429 } }),
+  499: msg => ({ error: { message: msg || 'Client closed request', type: 'invalid_request_error', code: 499 } }),
   500: msg => ({ error: { message: msg, type: 'server_error', code: 500 } })
 };
 
@@ -306,37 +1490,116 @@ const API_ENDPOINTS = {
     `${BASE_URL}/${API_VERSION}/models/${model}:${stream ? "streamGenerateContent" : "generateContent"}`,
   models: `${BASE_URL}/${API_VERSION}/models`,
   embeddings: model => 
-    `${BASE_URL}/${API_VERSION}/${model}:batchEmbedContents`
+    `${BASE_URL}/${API_VERSION}/${model}:batchEmbedContents`,
+  native: (model, method, query) =>
+    `${BASE_URL}/${API_VERSION}/models/${model}:${method}${query ? `?${query}` : ""}`
 };
 
 
+// 解析 JSON 格式的环境变量，未设置时返回 null，格式或类型不对时抛出带变量名的异常
+function parseJsonEnv(env, name, type = 'object') {
+  if (!env[name]) return null;
+  let value;
+  try {
+    value = JSON.parse(env[name]);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`);
+  }
+  const isArray = Array.isArray(value);
+  if (type === 'array' ? !isArray : (isArray || value === null || typeof value !== 'object')) {
+    throw new Error(`${name} must be a JSON ${type}`);
+  }
+  return value;
+}
+
+// Service Initialization - 返回错误信息，成功时返回 null
+function initializeServices(env) {
+  if (keyPool && authManager) {
+    return null;
+  }
+
+  try {
+    const geminiKeys = (env.GEMINI_API_KEYS || '').split(',').filter(k => k.trim());
+    const validTokens = (env.VALID_AUTH_TOKENS || '').split(',').filter(t => t.trim());
+    const strategy = env.LOAD_BALANCE_STRATEGY || 'round-robin';
+    
+    if (geminiKeys.length === 0) {
+      console.error('No GEMINI_API_KEYS configured');
+      return 'Service configuration error';
+    }
+    
+    // token 也可以只通过 AUTH_TOKENS_CONFIG 或 KV 配置
+    if (validTokens.length === 0 && !env.AUTH_TOKENS_CONFIG && !env.POOL_STATE_KV) {
+      console.error('No VALID_AUTH_TOKENS configured');
+      return 'Service initialization error';
+    }
+    
+    const store = env.POOL_STATE_KV ? new KvStateStore(env.POOL_STATE_KV) : new MemoryStateStore();
+    const syncInterval = parseInt(env.POOL_SYNC_INTERVAL || '30') * 1000;
+    
+    // 先在局部变量中解析全部配置并创建实例，任何配置错误都不会留下部分初始化的全局状态，
+    // 之后的每个请求都会重新初始化并返回同样的错误
+    const pool = new ApiKeyPool(geminiKeys, strategy, {
+      store,
+      syncInterval,
+      quotas: parseJsonEnv(env, 'KEY_QUOTAS'),
+      weights: parseJsonEnv(env, 'KEY_WEIGHTS'),
+      minCoolingMinutes: env.COOLING_MIN_MINUTES ? parseFloat(env.COOLING_MIN_MINUTES) : undefined,
+      maxCoolingMinutes: env.COOLING_MAX_MINUTES ? parseFloat(env.COOLING_MAX_MINUTES) : undefined,
+      probe: env.PROBE_INTERVAL === '0' ? null : probeKey,
+      probeInterval: parseFloat(env.PROBE_INTERVAL || '30') * 60000
+    });
+    const adminTokens = (env.ADMIN_TOKENS || '').split(',').filter(t => t.trim());
+    const auth = new AuthManager(validTokens, adminTokens, {
+      tokenConfig: parseJsonEnv(env, 'AUTH_TOKENS_CONFIG', 'array') || [],
+      store: env.POOL_STATE_KV ? store : null,
+      syncInterval,
+      defaultRateLimit: parseJsonEnv(env, 'TOKEN_RATE_LIMIT'),
+      defaultBudget: parseJsonEnv(env, 'TOKEN_BUDGET')
+    });
+    const stream = {
+      heartbeatInterval: parseFloat(env.STREAM_HEARTBEAT_INTERVAL || '15') * 1000,
+      idleTimeout: parseFloat(env.STREAM_IDLE_TIMEOUT || '300') * 1000
+    };
+    const models = {
+      defaultModel: env.DEFAULT_MODEL || DEFAULT_MODEL,
+      aliases: { ...DEFAULT_MODEL_ALIASES, ...parseJsonEnv(env, 'MODEL_ALIASES') }
+    };
+    const limiter = env.RATE_LIMITER ? new DurableObjectRateLimiter(env.RATE_LIMITER) : new MemoryRateLimiter();
+    // 绑定 RATE_LIMITER 时用量计数由同一个 Durable Object 维护
+    const tracker = new TokenUsageTracker(store, {
+      counter: env.RATE_LIMITER ? limiter : null,
+      pricing: parseJsonEnv(env, 'MODEL_PRICING'),
+      syncInterval
+    });
+    // 未绑定 KV 时会话记录使用有上限的内存存储
+    const conversations = new ConversationStore(env.POOL_STATE_KV ? store : new LruMemoryStore(), {
+      ttl: parseFloat(env.RESPONSE_STORE_TTL || '30') * 86400
+    });
+    
+    streamOptions = stream;
+    modelOptions = models;
+    rateLimiter = limiter;
+    usageTracker = tracker;
+    conversationStore = conversations;
+    authManager = auth;
+    keyPool = pool;
+    
+  } catch (err) {
+    console.error('Failed to initialize services:', err);
+    return 'Service initialization error';
+  }
+
+  return null;
+}
+
 // Main Worker Export with Stream Optimization
 export default {
   async fetch(request, env, ctx) {
     // Initialize global instances with environment variables
-    if (!keyPool || !authManager) {
-      try {
-        const geminiKeys = (env.GEMINI_API_KEYS || '').split(',').filter(k => k.trim());
-        const validTokens = (env.VALID_AUTH_TOKENS || '').split(',').filter(t => t.trim());
-        const strategy = env.LOAD_BALANCE_STRATEGY || 'round-robin';
-        
-        if (geminiKeys.length === 0) {
-          console.error('No GEMINI_API_KEYS configured');
-          return createErrorResponse(500, 'Service configuration error');
-        }
-        
-        if (validTokens.length === 0) {
-          console.error('No VALID_AUTH_TOKENS configured');
-          return createErrorResponse(500, 'Service initialization error');
-        }
-        
-        keyPool = new ApiKeyPool(geminiKeys, strategy);
-        authManager = new AuthManager(validTokens);
-        
-      } catch (err) {
-        console.error('Failed to initialize services:', err);
-        return createErrorResponse(500, 'Service initialization error');
-      }
+    const initError = initializeServices(env);
+    if (initError) {
+      return createErrorResponse(500, initError);
     }
 
     if (request.method === "OPTIONS") {
@@ -344,98 +1607,284 @@ export default {
     }
 
     const url = new URL(request.url);
-    const userToken = request.headers.get("Authorization")?.split(" ")[1];
+    const route = resolveRoute(url.pathname);
+    const userToken = getClientToken(request, url, route);
 
     // 验证用户认证 token
     if (!userToken) {
-      return createErrorResponse(401, 'Missing authorization token');
+      return createRouteErrorResponse(route, 401, 'Missing authorization token');
     }
 
-    if (!authManager.validateToken(userToken)) {
-      return createErrorResponse(403, 'Invalid authorization token');
+    await authManager.sync();
+    const identity = authManager.validateToken(userToken);
+    if (!identity) {
+      return createRouteErrorResponse(route, 403, 'Invalid authorization token');
     }
 
-    try {
-      switch (true) {
-        case url.pathname.endsWith("/v1/chat/completions"):
-          if (request.method !== "POST") {
-            return createErrorResponse(405, "Method not allowed");
-          }
-          const body = await request.json().catch(() => null);
-          if (!body) {
-            return createErrorResponse(400, "Invalid JSON body");
-          }
-          
-          // 流式请求的特殊处理 - 使用 waitUntil 确保流完整处理
-          if (body.stream && ctx) {
-            const response = await handleRequest(body);
-            
-            // 确保流完整传输，防止 Worker 过早终止
-            // 注意：不要在这里再次使用 response.body，因为它已经在 handleStreamResponse 中被消费
-            ctx.waitUntil(new Promise(resolve => {
-              // 简化监控逻辑，避免重复使用 response body
-              // 流的完成状态已经在 handleStreamResponse 中处理
-              setTimeout(() => {
-                resolve();
-              }, 30000); // 30秒超时保护
-            }));
-            
-            return response;
-          }
-          
-          return handleRequest(body);
-
-        case url.pathname.endsWith("/v1/models"):
-          if (request.method !== "GET") {
-            return createErrorResponse(405, "Method not allowed");
-          }
-          return handleModels();
+    // 检查 token 权限：管理路径需要管理员 token，权限范围按解析出的端点检查
+    if (route.admin && !identity.admin) {
+      return createRouteErrorResponse(route, 403, `Token "${identity.name}" is not allowed to access ${url.pathname}`);
+    }
+    if (!route.name) {
+      return createErrorResponse(404);
+    }
+    if (!authManager.isEndpointAllowed(identity, route.path)) {
+      return createRouteErrorResponse(route, 403, `Token "${identity.name}" is not allowed to access ${route.path}`);
+    }
 
-        case url.pathname.endsWith("/v1/embeddings"):
-          if (request.method !== "POST") {
-            return createErrorResponse(405, "Method not allowed");
-          }
-          const embedBody = await request.json().catch(() => null);
-          if (!embedBody) {
-            return createErrorResponse(400, "Invalid JSON body");
-          }
-          return handleEmbeddings(embedBody);
+    // 按 token 检查预算和限流（状态和管理接口不计入）
+    if (identity.budget && route.metered) {
+      // 没有用量统计时无法判断预算，拒绝请求而不是放行
+      if (!usageTracker) {
+        console.error(`[${identity.name}] Usage tracker unavailable, refusing budgeted request`);
+        return createRouteErrorResponse(route, 503, 'Usage tracking is unavailable');
+      }
+      const exhausted = await checkClientBudget(identity);
+      if (exhausted) {
+        console.log(`[${identity.name}] ${request.method} ${url.pathname} 429 (${exhausted.period} ${exhausted.kind} budget)`);
+        return createBudgetExceededResponse(identity, exhausted, route);
+      }
+    }
+    
+    let rateLimit = null;
+    if (identity.rateLimit && route.metered) {
+      rateLimit = await acquireClientRateLimit(identity);
+      if (rateLimit && !rateLimit.allowed) {
+        console.log(`[${identity.name}] ${request.method} ${url.pathname} 429 (${rateLimit.limitedBy})`);
+        return createRateLimitResponse(identity, rateLimit, route);
+      }
+    }
 
-        case url.pathname.endsWith("/v1/status"):
-          if (request.method !== "GET") {
-            return createErrorResponse(405, "Method not allowed");
-          }
-          return handleStatus();
+    // 同步其他 isolate 写入的 key 状态
+    await keyPool.sync();
 
-        default:
-          return createErrorResponse(404);
+    try {
+      const response = await routeRequest(request, url, ctx, identity, route);
+      if (rateLimit) {
+        for (const [name, value] of Object.entries(createRateLimitHeaders(rateLimit))) {
+          response.headers.set(name, value);
+        }
       }
+      console.log(`[${identity.name}] ${request.method} ${url.pathname} ${response.status}`);
+      // 执行到期的半开探测，并确保 key 状态变更写入共享存储
+      ctx?.waitUntil(keyPool.runProbes().then(() => keyPool.flush()));
+      return response;
     } catch (err) {
-      console.error('Request processing error:', err);
-      return createErrorResponse(500, err.message);
+      console.error(`[${identity.name}] Request processing error:`, err);
+      return createRouteErrorResponse(route, 500, err.message);
+    }
+  },
+
+  // Cron Trigger：定时检查所有 key 的健康状态
+  async scheduled(event, env, ctx) {
+    const initError = initializeServices(env);
+    if (initError) {
+      console.error('Scheduled health check skipped:', initError);
+      return;
     }
+
+    await keyPool.sync(true);
+    ctx.waitUntil(runHealthCheck().then(() => keyPool.flush()));
   }
 };
 
-// Error Response Creation
-function createErrorResponse(status, message) {
-  const template = ERROR_TEMPLATES[status] || ERROR_TEMPLATES[500];
-  return new Response(
-    JSON.stringify(template(message)),
-    { status, headers: COMMON_HEADERS.JSON }
-  );
+// 客户端 token：Authorization: Bearer；Gemini 原生接口的客户端（Google GenAI SDK）使用 x-goog-api-key 或 ?key=，
+// Anthropic 接口的客户端使用 x-api-key
+function getClientToken(request, url, route) {
+  const bearer = request.headers.get("Authorization")?.split(" ")[1];
+  if (bearer) return bearer;
+  if (route.name === "native") {
+    return request.headers.get("x-goog-api-key") || url.searchParams.get("key");
+  }
+  if (route.name === "messages") {
+    return request.headers.get("x-api-key");
+  }
+  return null;
 }
 
-// Request Validation
-function validateRequest(req) {
-  if (!req?.messages?.length) {
-    throw new Error("messages array is required");
-  }
+// 管理路径：含有 /admin 段的路径只允许管理员 token 访问，只有 /admin/keys 会解析为管理接口
+const ADMIN_PATH = /(?:^|\/)admin(?:\/|$)/;
 
-  for (const msg of req.messages) {
-    if (!VALID_ROLES[msg.role]) {
-      throw new Error(`Invalid role: ${msg.role}`);
-    }
+function isAdminPath(pathname) {
+  return ADMIN_PATH.test(pathname);
+}
+
+// Route Resolution
+// 请求路径完整匹配到规范端点，token 权限范围、管理员检查、计量和路由分发都使用同一个解析结果
+const ROUTES = {
+  "/v1/chat/completions": "chat",
+  "/v1/messages": "messages",
+  "/v1/responses": "responses",
+  "/v1/models": "models",
+  "/v1/embeddings": "embeddings",
+  "/v1/status": "status"
+};
+// 状态和管理接口不计入预算和限流
+const UNMETERED_ROUTES = new Set(["status", "admin-keys"]);
+
+// 返回 { name, path, admin, metered }，未知路径的 name 为 null
+function resolveRoute(pathname) {
+  let name = null;
+  if (Object.hasOwn(ROUTES, pathname)) {
+    name = ROUTES[pathname];
+  } else if (NATIVE_API_PATH.test(pathname)) {
+    name = "native";
+  } else if (ADMIN_KEYS_PATH.test(pathname)) {
+    name = "admin-keys";
+  }
+  return {
+    name,
+    path: pathname,
+    admin: isAdminPath(pathname),
+    metered: name !== null && !UNMETERED_ROUTES.has(name)
+  };
+}
+
+// Request Router
+async function routeRequest(request, url, ctx, identity, route) {
+  switch (route.name) {
+    case "chat":
+      if (request.method !== "POST") {
+        return createErrorResponse(405, "Method not allowed");
+      }
+      const body = await request.json().catch(() => null);
+      if (!body) {
+        return createErrorResponse(400, "Invalid JSON body");
+      }
+      
+      // 流式响应通过 waitUntil 跟踪到传输结束，防止 Worker 过早终止
+      return handleRequest(body, identity, {
+        onUsage: (usageMetadata, model) => recordClientUsage(ctx, identity, usageMetadata, model),
+        waitUntil: promise => ctx?.waitUntil(promise),
+        signal: request.signal
+      });
+
+    case "messages":
+      if (request.method !== "POST") {
+        return createErrorResponse(405, "Method not allowed");
+      }
+      const messagesBody = await request.json().catch(() => null);
+      if (!messagesBody) {
+        return createAnthropicErrorResponse(400, "Invalid JSON body");
+      }
+      return handleMessages(messagesBody, identity, {
+        onUsage: (usageMetadata, model) => recordClientUsage(ctx, identity, usageMetadata, model),
+        waitUntil: promise => ctx?.waitUntil(promise),
+        signal: request.signal
+      });
+
+    case "responses":
+      if (request.method !== "POST") {
+        return createErrorResponse(405, "Method not allowed");
+      }
+      const responsesBody = await request.json().catch(() => null);
+      if (!responsesBody) {
+        return createErrorResponse(400, "Invalid JSON body");
+      }
+      return handleResponses(responsesBody, identity, {
+        onUsage: (usageMetadata, model) => recordClientUsage(ctx, identity, usageMetadata, model),
+        waitUntil: promise => ctx?.waitUntil(promise),
+        signal: request.signal
+      });
+
+    case "models":
+      if (request.method !== "GET") {
+        return createErrorResponse(405, "Method not allowed");
+      }
+      return handleModels();
+
+    case "embeddings":
+      if (request.method !== "POST") {
+        return createErrorResponse(405, "Method not allowed");
+      }
+      const embedBody = await request.json().catch(() => null);
+      if (!embedBody) {
+        return createErrorResponse(400, "Invalid JSON body");
+      }
+      return handleEmbeddings(embedBody, identity);
+
+    case "status":
+      if (request.method !== "GET") {
+        return createErrorResponse(405, "Method not allowed");
+      }
+      return handleStatus(identity);
+
+    case "native":
+      if (request.method !== "POST") {
+        return createErrorResponse(405, "Method not allowed");
+      }
+      return handleNativeRequest(request, url, identity, {
+        onUsage: (usageMetadata, model) => recordClientUsage(ctx, identity, usageMetadata, model),
+        waitUntil: promise => ctx?.waitUntil(promise),
+        signal: request.signal
+      });
+
+    case "admin-keys":
+      return handleAdminKeys(request, url);
+
+    default:
+      return createErrorResponse(404);
+  }
+}
+
+// 没有模板的状态码按 4xx/5xx 使用通用模板，code 始终为实际状态码
+function createErrorBody(status, message) {
+  const template = ERROR_TEMPLATES[status] || ERROR_TEMPLATES[status >= 500 ? 500 : 400];
+  const body = template(message);
+  body.error.code = status;
+  return body;
+}
+
+// Error Response Creation
+function createErrorResponse(status, message, extraHeaders) {
+  let headers = COMMON_HEADERS.JSON;
+  if (extraHeaders) {
+    headers = new Headers(COMMON_HEADERS.JSON);
+    for (const [name, value] of Object.entries(extraHeaders)) {
+      headers.set(name, value);
+    }
+  }
+  return new Response(
+    JSON.stringify(createErrorBody(status, message)),
+    { status, headers }
+  );
+}
+
+// 进入处理函数之前的拒绝（认证、权限、预算、限流）按端点的协议返回错误格式，SDK 才能正确解析
+function createRouteErrorResponse(route, status, message, extraHeaders) {
+  let response;
+  if (route.name === 'messages') {
+    response = createAnthropicErrorResponse(status, message);
+  } else if (route.name === 'native') {
+    response = createGoogleErrorResponse(status, message);
+  } else {
+    return createErrorResponse(status, message, extraHeaders);
+  }
+  for (const [name, value] of Object.entries(extraHeaders || {})) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+// JSON Response Creation
+function createJsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: COMMON_HEADERS.JSON });
+}
+
+// Request Validation
+function validateRequest(req) {
+  if (!req?.messages?.length) {
+    throw new Error("messages array is required");
+  }
+
+  for (const msg of req.messages) {
+    if (!VALID_ROLES[msg.role]) {
+      throw new Error(`Invalid role: ${msg.role}`);
+    }
+
+    if (msg.role === "tool" && !msg.tool_call_id) {
+      throw new Error("tool messages must include tool_call_id");
+    }
 
     if (Array.isArray(msg.content)) {
       for (const item of msg.content) {
@@ -447,20 +1896,60 @@ function validateRequest(req) {
   }
 }
 
+// Model Resolution - 返回实际使用的 Gemini 模型，未知模型返回 null
+function resolveModel(model, fallback = modelOptions.defaultModel) {
+  if (!model) return fallback;
+  const name = model.replace(/^models\//, "");
+  if (Object.hasOwn(modelOptions.aliases, name)) {
+    return modelOptions.aliases[name];
+  }
+  return GEMINI_MODEL_PREFIXES.some(prefix => name.startsWith(prefix)) ? name : null;
+}
+
+// OpenAI 风格的模型不存在响应
+function createModelNotFoundResponse(model) {
+  return new Response(
+    JSON.stringify({
+      error: {
+        message: `The model \`${model}\` does not exist or you do not have access to it.`,
+        type: 'invalid_request_error',
+        param: 'model',
+        code: 'model_not_found'
+      }
+    }),
+    { status: 404, headers: COMMON_HEADERS.JSON }
+  );
+}
+
 // Main Request Handler with Intelligent Error Handling
-async function handleRequest(req) {
-  const model = req.model?.startsWith("gemini-") ? req.model : DEFAULT_MODEL;
+async function handleRequest(req, identity, { onUsage: onClientUsage, waitUntil, signal } = {}) {
+  const model = resolveModel(req.model);
+  if (!model) {
+    return createModelNotFoundResponse(req.model);
+  }
   const url = API_ENDPOINTS.chat(model, req.stream);
   
+  if (!authManager.isModelAllowed(identity, model)) {
+    return createErrorResponse(403, `Token "${identity.name}" is not allowed to use model ${model}`);
+  }
+  
+  // 请求体只转换一次；参数错误返回 400，不影响 key 状态
+  let body;
   try {
     validateRequest(req);
-    
+    body = JSON.stringify(await transformRequest(req));
+  } catch (err) {
+    return createErrorResponse(400, err.message);
+  }
+  
+  try {
     // 尝试使用负载均衡的 API key
     let lastError = null;
     const maxRetries = Math.min(3, keyPool.getStats().totalKeys);
     
     for (let attempt = 0; attempt < maxRetries; attempt++) {
-      const apiKey = keyPool.getNextKey();
+      const apiKey = keyPool.getNextKey(model);
+      let releaseOnStreamEnd = false;
       
       try {
         const response = await fetch(req.stream ? `${url}?alt=sse` : url, {
@@ -470,21 +1959,64 @@ async function handleRequest(req) {
             "x-goog-api-key": apiKey,
             "x-goog-api-client": API_CLIENT
           },
-          body: JSON.stringify(await transformRequest(req))
+          body,
+          signal
         });
 
         if (response.ok) {
+          // 流式请求先等待第一个有效数据块，之前失败时换 key 重试，避免客户端收到空的回答
+          let stream = null;
+          if (req.stream) {
+            stream = await awaitStreamStart(response, {
+              commitAfter: streamOptions.heartbeatInterval,
+              idleTimeout: streamOptions.idleTimeout
+            });
+            if (stream.error) {
+              const errorResponse = new Response(stream.error.body, { status: stream.error.status });
+              const errorType = await handleApiError(apiKey, errorResponse, model);
+              if (errorType === 'client_error') {
+                return createErrorResponse(stream.error.status, stream.error.body);
+              }
+              lastError = new Error(`Upstream stream failed before the first chunk: ${stream.error.status}`);
+              continue;
+            }
+          }
+          
           // 成功时标记 key 为正常使用
           keyPool.markKeySuccess(apiKey);
           const id = generateChatcmplId();
-          return req.stream
-            ? handleStreamResponse(response, model, id)
-            : handleNonStreamResponse(response, model, id);
+          const onUsage = usageMetadata => {
+            keyPool.recordTokens(apiKey, usageMetadata);
+            onClientUsage?.(usageMetadata, model);
+          };
+          if (req.stream) {
+            // 流式请求在流结束时才释放 key
+            releaseOnStreamEnd = true;
+            return handleStreamResponse(stream.response, model, id, {
+              onUsage,
+              onComplete: () => keyPool.releaseKey(apiKey),
+              onAbort: () => keyPool.recordAbortedRequest(),
+              waitUntil,
+              signal,
+              heartbeatInterval: streamOptions.heartbeatInterval,
+              idleTimeout: streamOptions.idleTimeout,
+              parallelToolCalls: req.parallel_tool_calls,
+              includeUsage: req.stream_options?.include_usage === true
+            });
+          }
+          const result = await handleNonStreamResponse(response, model, id, {
+            onUsage,
+            parallelToolCalls: req.parallel_tool_calls
+          });
+          if (signal?.aborted) {
+            keyPool.recordAbortedRequest();
+          }
+          return result;
         }
         
         // 智能错误处理 - 先克隆响应以避免 body 被多次使用
         const responseClone = response.clone();
-        const errorType = handleApiError(apiKey, response);
+        const errorType = await handleApiError(apiKey, response, model);
         
         if (errorType === 'permanent') {
           // 永久失效，继续尝试下一个 key
@@ -507,10 +2039,20 @@ async function handleRequest(req) {
         }
         
       } catch (err) {
+        // 客户端已断开：上游请求随之取消，不再重试，也不冷却 key
+        if (signal?.aborted) {
+          keyPool.recordAbortedRequest();
+          return createErrorResponse(499, 'Client closed request');
+        }
+        
         lastError = err;
         
         // 网络错误，短期冷却
         keyPool.markKeyCooling(apiKey, 5); // 5分钟冷却
+      } finally {
+        if (!releaseOnStreamEnd) {
+          keyPool.releaseKey(apiKey);
+        }
       }
     }
     
@@ -522,8 +2064,8 @@ async function handleRequest(req) {
   }
 }
 
-// 智能 API 错误处理函数
-function handleApiError(apiKey, response) {
+// 智能 API 错误处理函数（model 用于按模型冷却，Gemini 的配额按模型计算）
+async function handleApiError(apiKey, response, model) {
   const status = response.status;
   
   if (status === 401 || status === 403) {
@@ -533,10 +2075,9 @@ function handleApiError(apiKey, response) {
   }
   
   if (status === 429) {
-    // 频率限制：24小时冷却
-    const retryAfter = response.headers.get('Retry-After');
-    const coolMinutes = retryAfter ? Math.max(parseInt(retryAfter) / 60, 24 * 60) : 24 * 60;
-    keyPool.markKeyCooling(apiKey, coolMinutes);
+    // 频率限制：按 RetryInfo / QuotaFailure 计算冷却时间
+    const body = await response.json().catch(() => null);
+    keyPool.markKeyCooling(apiKey, getRateLimitCoolingMinutes(response, body), model);
     return 'temporary';
   }
   
@@ -562,6 +2103,69 @@ function handleApiError(apiKey, response) {
   return 'client_error';
 }
 
+// 429 冷却时间：
+// - 按天配额（QuotaFailure quotaId 含 PerDay）：冷却到配额重置（太平洋时间零点）
+// - 按分钟配额：使用 RetryInfo.retryDelay，缺省 1 分钟
+// - 无法识别：使用 RetryInfo / Retry-After，缺省 24 小时
+// 结果限制在 keyPool 配置的最小/最大冷却时间之间
+function getRateLimitCoolingMinutes(response, body) {
+  const details = Array.isArray(body?.error?.details) ? body.error.details : [];
+  let retryDelaySeconds = null;
+  let quotaScope = null;
+  
+  for (const detail of details) {
+    if (detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo') {
+      retryDelaySeconds = parseDuration(detail.retryDelay);
+    } else if (detail['@type'] === 'type.googleapis.com/google.rpc.QuotaFailure') {
+      for (const violation of detail.violations || []) {
+        const quotaId = violation.quotaId || violation.quotaMetric || '';
+        if (/PerDay/i.test(quotaId)) {
+          quotaScope = 'day';
+        } else if (/PerMinute/i.test(quotaId) && quotaScope !== 'day') {
+          quotaScope = 'minute';
+        }
+      }
+    }
+  }
+  
+  if (retryDelaySeconds === null) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'));
+    retryDelaySeconds = retryAfter >= 0 ? retryAfter : null;
+  }
+  
+  let minutes;
+  if (quotaScope === 'day') {
+    minutes = Math.max(minutesUntilDailyQuotaReset(), (retryDelaySeconds || 0) / 60);
+  } else if (quotaScope === 'minute') {
+    minutes = retryDelaySeconds !== null ? retryDelaySeconds / 60 : 1;
+  } else {
+    minutes = retryDelaySeconds !== null ? retryDelaySeconds / 60 : 24 * 60;
+  }
+  
+  return keyPool.clampCoolingMinutes(minutes);
+}
+
+// 解析 protobuf Duration 字符串（如 "23s"、"1.5s"）为秒
+function parseDuration(duration) {
+  const match = typeof duration === 'string' && duration.match(/^(\d+(?:\.\d+)?)s$/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// Gemini 按天配额在太平洋时间零点重置
+const PACIFIC_TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/Los_Angeles',
+  hour: 'numeric',
+  minute: 'numeric',
+  hourCycle: 'h23'
+});
+
+function minutesUntilDailyQuotaReset(now = new Date()) {
+  const parts = PACIFIC_TIME_FORMAT.formatToParts(now);
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return 24 * 60 - (hour * 60 + minute);
+}
+
 // ID Generation
 const generateChatcmplId = (() => {
   const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
@@ -576,7 +2180,21 @@ const generateChatcmplId = (() => {
 })();
 
 // Message Transformation
-async function transformMsg({ role, content }) {
+async function transformMsg({ role, content, tool_calls }) {
+  // assistant 的 tool_calls 转换为 functionCall parts，文本内容（如有）在前
+  if (tool_calls?.length) {
+    const parts = content ? (await transformMsg({ role, content })).parts : [];
+    for (const call of tool_calls) {
+      parts.push({
+        functionCall: {
+          name: call.function.name,
+          args: parseToolArguments(call.function.arguments)
+        }
+      });
+    }
+    return { role, parts };
+  }
+
   if (!Array.isArray(content)) {
     return { role, parts: [{ text: content }] };
   }
@@ -643,25 +2261,168 @@ async function parseImg(url) {
   }
 }
 
+// Tool Call Transformation
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args !== "string") return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    throw new Error(`Invalid tool call arguments: ${args}`);
+  }
+}
+
+// tool 消息转换为 functionResponse；Gemini 需要函数名，从之前的 tool_calls 中查找
+function transformToolResult({ tool_call_id, content }, toolNames) {
+  const name = toolNames.get(tool_call_id);
+  if (!name) {
+    throw new Error(`No assistant tool call found for tool_call_id: ${tool_call_id}`);
+  }
+
+  const text = Array.isArray(content)
+    ? content.map(item => item.text || "").join("")
+    : content ?? "";
+  let response;
+  try {
+    response = JSON.parse(text);
+  } catch {
+    response = null;
+  }
+  // functionResponse.response 必须是对象，其他结果放在 output 字段中
+  if (!response || typeof response !== "object" || Array.isArray(response)) {
+    response = { output: text };
+  }
+
+  return { functionResponse: { name, response } };
+}
+
+function transformTools(req) {
+  const result = {};
+  
+  const functions = (req.tools || []).filter(tool => tool.type === "function");
+  if (functions.length) {
+    result.tools = [{
+      functionDeclarations: functions.map(({ function: fn }) => ({
+        name: fn.name,
+        description: fn.description,
+        // 使用 JSON Schema 字段，兼容 additionalProperties 等 OpenAI 常用关键字
+        parametersJsonSchema: fn.parameters
+      }))
+    }];
+  }
+
+  const choice = req.tool_choice;
+  if (choice) {
+    let functionCallingConfig;
+    if (choice === "none") {
+      functionCallingConfig = { mode: "NONE" };
+    } else if (choice === "auto") {
+      functionCallingConfig = { mode: "AUTO" };
+    } else if (choice === "required") {
+      functionCallingConfig = { mode: "ANY" };
+    } else if (choice.type === "function" && choice.function?.name) {
+      functionCallingConfig = { mode: "ANY", allowedFunctionNames: [choice.function.name] };
+    } else {
+      throw new Error(`Invalid tool_choice: ${JSON.stringify(choice)}`);
+    }
+    result.toolConfig = { functionCallingConfig };
+  }
+
+  return result;
+}
+
+// Gemini functionCall 转换为 OpenAI tool_call
+const generateToolCallId = () => "call_" + generateChatcmplId().slice(9, 33);
+
+function transformFunctionCall({ functionCall }) {
+  return {
+    id: functionCall.id || generateToolCallId(),
+    type: "function",
+    function: {
+      name: functionCall.name,
+      arguments: JSON.stringify(functionCall.args || {})
+    }
+  };
+}
+
+// Response Parts Transformation
+// 拼接候选内容的所有 parts：文本直接拼接，代码执行以 Markdown 代码块表示，内联数据以 data URI 表示
+// functionCall 单独转换为 tool_calls；思考内容不计入回答
+function transformPartsToText(parts = []) {
+  let text = "";
+  for (const part of parts) {
+    if (part.thought) continue;
+    if (part.text !== undefined) {
+      text += part.text;
+    } else if (part.executableCode) {
+      const language = part.executableCode.language || "";
+      const fence = language === "LANGUAGE_UNSPECIFIED" ? "" : language.toLowerCase();
+      text += `\n\`\`\`${fence}\n${part.executableCode.code}\n\`\`\`\n`;
+    } else if (part.codeExecutionResult) {
+      text += `\n\`\`\`output\n${(part.codeExecutionResult.output || "").trimEnd()}\n\`\`\`\n`;
+    } else if (part.inlineData) {
+      const { mimeType, data } = part.inlineData;
+      const uri = `data:${mimeType};base64,${data}`;
+      text += mimeType.startsWith("image/") ? `![image](${uri})` : `[${mimeType}](${uri})`;
+    }
+  }
+  return text;
+}
+
+// 思考摘要（thought parts）转换为 reasoning_content
+function transformPartsToReasoning(parts = []) {
+  let text = "";
+  for (const part of parts) {
+    if (part.thought && part.text) {
+      text += part.text;
+    }
+  }
+  return text;
+}
+
+// usageMetadata 转换为 OpenAI usage，completion_tokens 包含思考 token
+function transformUsage(usageMetadata) {
+  const reasoningTokens = usageMetadata.thoughtsTokenCount || 0;
+  return {
+    completion_tokens: (usageMetadata.candidatesTokenCount || 0) + reasoningTokens,
+    prompt_tokens: usageMetadata.promptTokenCount || 0,
+    total_tokens: usageMetadata.totalTokenCount || 0,
+    completion_tokens_details: { reasoning_tokens: reasoningTokens }
+  };
+}
+
 // Message Transformation
 async function transformMessages(messages) {
-  const contents = new Array(messages.length);
+  const contents = [];
   let system_instruction;
-  let contentIndex = 0;
+  const toolNames = new Map(); // tool_call_id -> 函数名
+  let toolResults = null;      // 连续的 tool 消息合并到同一条 content 中
+
+  for (const item of messages) {
+    if (item.role === "tool") {
+      const part = transformToolResult(item, toolNames);
+      if (toolResults) {
+        toolResults.parts.push(part);
+      } else {
+        toolResults = { role: "user", parts: [part] };
+        contents.push(toolResults);
+      }
+      continue;
+    }
+    toolResults = null;
 
-  for (let i = 0; i < messages.length; i++) {
-    const item = messages[i];
     if (item.role === "system") {
       system_instruction = await transformMsg({ ...item, role: undefined });
     } else {
-      contents[contentIndex++] = await transformMsg({
+      for (const call of item.tool_calls || []) {
+        toolNames.set(call.id, call.function?.name);
+      }
+      contents.push(await transformMsg({
         ...item,
         role: item.role === "assistant" ? "model" : "user"
-      });
+      }));
     }
   }
-  
-  contents.length = contentIndex;
 
   if (system_instruction && !contents.length) {
     contents[0] = { role: "model", parts: [{ text: " " }] };
@@ -689,6 +2450,21 @@ function transformConfig(req) {
     }
   }
 
+  // 思考配置：thinking_budget（扩展参数）优先于 reasoning_effort，开启思考时返回思考摘要
+  let thinkingBudget = req.thinking_budget;
+  if (thinkingBudget === undefined && req.reasoning_effort !== undefined) {
+    thinkingBudget = REASONING_EFFORT_BUDGETS[req.reasoning_effort];
+    if (thinkingBudget === undefined) {
+      throw new Error(`Invalid reasoning_effort: ${req.reasoning_effort}`);
+    }
+  }
+  if (thinkingBudget !== undefined) {
+    if (!Number.isInteger(thinkingBudget) || thinkingBudget < -1) {
+      throw new Error(`Invalid thinking_budget: ${thinkingBudget}`);
+    }
+    config.thinkingConfig = { thinkingBudget, includeThoughts: thinkingBudget !== 0 };
+  }
+
   return config;
 }
 
@@ -696,16 +2472,98 @@ function transformConfig(req) {
 async function transformRequest(req) {
   return {
     ...await transformMessages(req.messages),
+    ...transformTools(req),
     safetySettings,
     generationConfig: transformConfig(req)
   };
 }
 
-// 性能优化：预编译正则表达式，避免重复编译
-const STREAM_SPLIT_REGEX = /\r?\n\r?\n/;
+// SSE Event Parser
+// 按 SSE 规范增量解析：支持 \r\n、\n、\r 换行，多行 data 字段以 \n 连接，事件可以跨多个数据块；
+// 只返回 data 字段，注释和其他字段忽略。单个事件超过 maxEventSize 个字符时抛出异常，而不是截断
+const MAX_SSE_EVENT_SIZE = 16 * 1024 * 1024;
+const SSE_LINE_BREAK = /\r\n|\r|\n/g;
+
+class SseEventParser {
+  constructor(maxEventSize = MAX_SSE_EVENT_SIZE) {
+    this.maxEventSize = maxEventSize;
+    this.line = '';          // 未结束的行
+    this.data = [];          // 当前事件的 data 行
+    this.size = 0;           // 当前事件已累计的字符数
+    this.pendingCR = false;  // 上一段以 \r 结尾，下一段开头的 \n 属于同一个换行
+  }
+  
+  // 解析一段文本，返回其中已完整的事件数据
+  push(text) {
+    const events = [];
+    let start = 0;
+    if (this.pendingCR && text[0] === '\n') {
+      start = 1;
+    }
+    this.pendingCR = false;
+    
+    SSE_LINE_BREAK.lastIndex = start;
+    let match;
+    while ((match = SSE_LINE_BREAK.exec(text))) {
+      // \r 位于末尾时无法判断是否为 \r\n，记下来在下一段处理
+      if (match[0] === '\r' && match.index === text.length - 1) {
+        this.pendingCR = true;
+      }
+      this.processLine(this.line + text.slice(start, match.index), events);
+      this.line = '';
+      start = SSE_LINE_BREAK.lastIndex;
+    }
+    
+    this.line += text.slice(start);
+    this.checkSize(this.line.length);
+    return events;
+  }
+  
+  // 上游结束：最后一个事件即使缺少结尾空行也返回
+  end() {
+    const events = [];
+    if (this.line) {
+      this.processLine(this.line, events);
+      this.line = '';
+    }
+    this.processLine('', events);
+    return events;
+  }
+  
+  processLine(line, events) {
+    if (line === '') {
+      if (this.data.length) {
+        const data = this.data.join('\n');
+        if (data) events.push(data);
+      }
+      this.data = [];
+      this.size = 0;
+      return;
+    }
+    if (line[0] === ':') return;
+    
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    if (field !== 'data') return;
+    
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value[0] === ' ') {
+      value = value.slice(1);
+    }
+    this.checkSize(value.length);
+    this.data.push(value);
+    this.size += value.length;
+  }
+  
+  checkSize(pending) {
+    if (this.size + pending > this.maxEventSize) {
+      throw new Error(`SSE event exceeds ${this.maxEventSize} characters`);
+    }
+  }
+}
 
 // Optimized Stream Response Handling
-function createOptimizedChunk(content, model, id, isFirst = false, isLast = false, finishReason = null) {
+function createDeltaChunk(delta, model, id, finishReason = null) {
   // 创建独立的块对象，避免并发问题
   const chunk = {
     id,
@@ -714,132 +2572,197 @@ function createOptimizedChunk(content, model, id, isFirst = false, isLast = fals
     object: "chat.completion.chunk",
     choices: [{
       index: 0,
-      delta: isLast
-        ? {}
-        : isFirst
-          ? { role: "assistant", content: "" }
-          : { content: content || "" },
-      finish_reason: isLast ? finishReason : null
+      delta,
+      finish_reason: finishReason
     }]
   };
   
   return `data: ${JSON.stringify(chunk)}\r\n\r\n`;
 }
 
+// stream_options.include_usage：[DONE] 之前的用量数据块，choices 为空
+function createUsageChunk(usageMetadata, model, id) {
+  const chunk = {
+    id,
+    created: Date.now() / 1000 | 0,
+    model,
+    object: "chat.completion.chunk",
+    choices: [],
+    usage: transformUsage(usageMetadata)
+  };
+  
+  return `data: ${JSON.stringify(chunk)}\r\n\r\n`;
+}
+
+// 流中的错误事件，格式与错误响应一致
+function createErrorChunk(status, message) {
+  return `data: ${JSON.stringify(createErrorBody(status, message))}\r\n\r\n`;
+}
+
+function createOptimizedChunk(content, model, id, isFirst = false, isLast = false, finishReason = null) {
+  const delta = isLast
+    ? {}
+    : isFirst
+      ? { role: "assistant", content: "" }
+      : { content: content || "" };
+  return createDeltaChunk(delta, model, id, isLast ? finishReason : null);
+}
+
 // 合并的优化流处理 - 将解析和转换合并为一层
-function createOptimizedParseStream(model, id) {
+function createOptimizedParseStream(model, id, { onUsageUpdate, parallelToolCalls, includeUsage, getUpstreamError } = {}) {
   const decoder = new TextDecoder();
-  let buffer = '';
+  const parser = new SseEventParser();
+  let lastUsage = null;                  // 最新的 usageMetadata，用于 include_usage 数据块
+  let toolCallCount = 0;                 // 已发送的 tool_calls 数量，作为 index
   let chunkCount = 0;
   let lastChunkTime = Date.now();
   let isFirstChunk = true;
+  let finished = false;                  // 已发送 finish_reason
+  let failed = false;                    // 已发送错误事件，忽略后续数据
+  
+  // 每个 functionCall 作为一个 tool_calls delta 发送，index 在整个流中递增
+  // Gemini 在同一个数据块中返回并行调用；parallel_tool_calls 为 false 时只保留第一个
+  const emitToolCalls = (cand, controller) => {
+    for (const part of cand.content?.parts || []) {
+      if (!part.functionCall || (parallelToolCalls === false && toolCallCount > 0)) continue;
+      const toolCall = { index: toolCallCount++, ...transformFunctionCall(part) };
+      controller.enqueue(createDeltaChunk({ tool_calls: [toolCall] }, model, id));
+    }
+  };
+  
+  // 上游出错时以 finish_reason "error"（扩展值，OpenAI 没有对应的结束原因）结束回答，
+  // 再发送 OpenAI SDK 可识别的错误事件
+  const fail = (controller, status, message) => {
+    if (!finished) {
+      controller.enqueue(createOptimizedChunk("", model, id, false, true, "error"));
+      finished = true;
+    }
+    controller.enqueue(createErrorChunk(status, message));
+    failed = true;
+  };
   
-  // 性能优化：添加缓冲区大小限制，防止内存泄漏
-  const MAX_BUFFER_SIZE = 1024 * 1024; // 1MB 限制
+  // 处理一个 SSE 事件的数据，transform 和 flush 共用
+  const handleEvent = (data, controller) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      fail(controller, 502, 'Failed to parse upstream stream event');
+      return;
+    }
+    
+    // 上游在流中返回的错误
+    if (parsed.error) {
+      fail(controller, parsed.error.code || 500, parsed.error.message || 'Upstream stream error');
+      return;
+    }
+    
+    // 处理首个数据块
+    if (isFirstChunk) {
+      controller.enqueue(createOptimizedChunk("", model, id, true));
+      isFirstChunk = false;
+    }
+    
+    // 提示词被拦截时没有 candidates
+    if (!parsed.candidates?.[0]) {
+      if (parsed.promptFeedback?.blockReason && !finished) {
+        controller.enqueue(createOptimizedChunk("", model, id, false, true, "content_filter"));
+        finished = true;
+      }
+      return;
+    }
+
+    const cand = parsed.candidates[0];
+    
+    if (parsed.usageMetadata) {
+      lastUsage = parsed.usageMetadata;
+      onUsageUpdate?.(lastUsage);
+    }
+    
+    // 性能优化：减少频繁的时间计算，采用采样监控
+    chunkCount++;
+    if (chunkCount % 10 === 0) { // 每 10 个 chunk 检查一次
+      const now = Date.now();
+      const timeSinceLastChunk = now - lastChunkTime;
+      
+      // 监控异常延迟（超过5秒警告）
+      if (timeSinceLastChunk > 5000 && chunkCount > 10) {
+        // 延迟检测，但不输出日志
+      }
+      lastChunkTime = now;
+    }
+    
+    // 处理思考摘要
+    const reasoning = transformPartsToReasoning(cand.content?.parts);
+    if (reasoning) {
+      controller.enqueue(createDeltaChunk({ reasoning_content: reasoning }, model, id));
+    }
+    
+    // 处理内容数据块：同一数据块中的所有 parts 合并为一个 delta
+    const content = transformPartsToText(cand.content?.parts);
+    if (content) {
+      controller.enqueue(createOptimizedChunk(content, model, id, false));
+    }
+    
+    // 处理函数调用
+    emitToolCalls(cand, controller);
+    
+    // 处理结束标记：Gemini 调用函数时 finishReason 仍为 STOP
+    if (cand.finishReason) {
+      const finishReason = toolCallCount && cand.finishReason === "STOP"
+        ? "tool_calls"
+        : reasonsMap[cand.finishReason] || cand.finishReason;
+      controller.enqueue(createOptimizedChunk("", model, id, false, true, finishReason));
+      finished = true;
+    }
+  };
   
   return new TransformStream({
     transform(chunk, controller) {
+      if (failed) return;
       try {
         // 立即处理，减少缓冲延迟
         const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
-        buffer += text;
-        
-        // 性能优化：检查缓冲区大小，防止内存泄漏
-        if (buffer.length > MAX_BUFFER_SIZE) {
-          buffer = buffer.slice(-MAX_BUFFER_SIZE / 2); // 保留后半部分
-        }
-        
-        // 性能优化：使用预编译的正则表达式
-        const parts = buffer.split(STREAM_SPLIT_REGEX);
-        buffer = parts.pop() || '';
-        
-        for (const part of parts) {
-          if (part.startsWith('data: ')) {
-            const content = part.slice(6).trim();
-            if (content && content !== '[DONE]') {
-              try {
-                const parsed = JSON.parse(content);
-                
-                // 验证数据格式
-                if (!parsed.candidates?.[0]) {
-                  console.warn('Invalid response format, skipping chunk');
-                  continue;
-                }
-
-                const cand = parsed.candidates[0];
-                const index = cand.index || 0;
-                
-                // 性能优化：减少频繁的时间计算，采用采样监控
-                chunkCount++;
-                if (chunkCount % 10 === 0) { // 每 10 个 chunk 检查一次
-                  const now = Date.now();
-                  const timeSinceLastChunk = now - lastChunkTime;
-                  
-                  // 监控异常延迟（超过5秒警告）
-                  if (timeSinceLastChunk > 5000 && chunkCount > 10) {
-                    // 延迟检测，但不输出日志
-                  }
-                  lastChunkTime = now;
-                }
-                
-                // 处理首个数据块
-                if (isFirstChunk) {
-                  controller.enqueue(createOptimizedChunk("", model, id, true));
-                  isFirstChunk = false;
-                }
-                
-                // 处理内容数据块
-                if (cand.content?.parts?.[0]?.text) {
-                  const content = cand.content.parts[0].text;
-                  controller.enqueue(createOptimizedChunk(content, model, id, false));
-                }
-                
-                // 处理结束标记
-                if (cand.finishReason) {
-                  const finishReason = reasonsMap[cand.finishReason] || cand.finishReason;
-                  controller.enqueue(createOptimizedChunk("", model, id, false, true, finishReason));
-                }
-                
-              } catch (e) {
-                // 继续处理，不中断流
-                // 发送空内容块保持流连续性
-                controller.enqueue(createOptimizedChunk("", model, id, false));
-              }
-            }
+        for (const data of parser.push(text)) {
+          if (failed) break;
+          if (data !== '[DONE]') {
+            handleEvent(data, controller);
           }
         }
       } catch (err) {
-        // 错误恢复，不中断流
-        // 发送恢复块
-        try {
-          controller.enqueue(createOptimizedChunk("", model, id, false));
-        } catch (recoveryErr) {
-          // 恢复失败，静默处理
-        }
+        // 转换出错时结束回答并通知客户端，而不是静默丢弃内容
+        fail(controller, 500, `Stream processing error: ${err.message}`);
       }
     },
     
     flush(controller) {
       try {
-        // 处理缓冲区中的剩余数据
-        if (buffer.trim()) {
-          const line = buffer.trim();
-          if (line.startsWith('data: ')) {
-            const content = line.slice(6).trim();
-            if (content && content !== '[DONE]') {
-              try {
-                const parsed = JSON.parse(content);
-                if (parsed.candidates?.[0]?.content?.parts?.[0]?.text) {
-                  const content = parsed.candidates[0].content.parts[0].text;
-                  controller.enqueue(createOptimizedChunk(content, model, id, false));
-                }
-              } catch (e) {
-                // 解析错误，静默处理
+        // 处理解析器中剩余的数据
+        if (!failed) {
+          try {
+            for (const data of [...parser.push(decoder.decode()), ...parser.end()]) {
+              if (failed) break;
+              if (data !== '[DONE]') {
+                handleEvent(data, controller);
               }
             }
+          } catch (err) {
+            fail(controller, 500, `Stream processing error: ${err.message}`);
           }
         }
         
+        // 上游连接中断，或在没有结束原因的情况下结束，说明回答被截断
+        const upstreamError = getUpstreamError?.();
+        if (!failed && upstreamError) {
+          fail(controller, 502, `Upstream stream interrupted: ${upstreamError.message}`);
+        } else if (!failed && !finished) {
+          fail(controller, 502, 'Upstream stream ended before completion');
+        }
+        
+        if (lastUsage && includeUsage) {
+          controller.enqueue(createUsageChunk(lastUsage, model, id));
+        }
+        
         // 发送结束标记
         controller.enqueue(`data: [DONE]\r\n\r\n`);
       } catch (err) {
@@ -863,22 +2786,180 @@ const reasonsMap = {
 };
 
 
-// 优化的流响应处理器 - 简化架构并增强错误恢复
-function handleStreamResponse(response, model, id) {
-  // 检查 response 是否有效
-  if (!response || !response.body) {
-    return createErrorResponse(500, 'Invalid streaming response');
-  }
+// Stream Start Detection
+// 读取上游流直到第一个带 candidates 或 promptFeedback 的事件，返回可从头重放的响应；
+// 第一个事件是错误时返回 { error: { status, body } }，流在此之前结束或断开时抛出异常。
+// 超过 commitAfter 毫秒仍没有数据时直接返回（不再能换 key），以便开始发送心跳；
+// 与心跳无关，两次读取之间超过 idleTimeout 毫秒没有数据时抛出异常，由调用方换 key 重试
+const STREAM_START_TIMEOUT = Symbol('timeout');
+const STREAM_IDLE_TIMEOUT = Symbol('idle');
 
-  const { readable, writable } = new TransformStream();
+async function awaitStreamStart(response, { commitAfter, idleTimeout } = {}) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const parser = new SseEventParser();
+  const deadline = commitAfter ? Date.now() + commitAfter : Infinity;
+  const chunks = [];
+  let pending = null;  // 超时时尚未完成的读取，由重放流继续使用
   
-  // 创建错误恢复包装器
-  const errorRecoveryStream = new TransformStream({
-    transform(chunk, controller) {
-      try {
-        controller.enqueue(chunk);
-      } catch (err) {
-        // 发送空内容块保持流连续性，不中断流
+  const replay = () => {
+    const stream = new ReadableStream({
+      start(controller) {
+        for (const chunk of chunks) {
+          controller.enqueue(chunk);
+        }
+      },
+      async pull(controller) {
+        const read = pending || reader.read();
+        pending = null;
+        const { value, done } = await read;
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    });
+    return { response: new Response(stream, { status: response.status, headers: response.headers }) };
+  };
+  
+  while (true) {
+    pending = reader.read();
+    const commitIn = Math.max(deadline - Date.now(), 0);
+    const waitFor = idleTimeout ? Math.min(commitIn, idleTimeout) : commitIn;
+    let timer;
+    const result = waitFor === Infinity
+      ? await pending
+      : await Promise.race([
+          pending,
+          new Promise(resolve => {
+            timer = setTimeout(
+              () => resolve(waitFor === commitIn ? STREAM_START_TIMEOUT : STREAM_IDLE_TIMEOUT),
+              waitFor
+            );
+          })
+        ]).finally(() => clearTimeout(timer));
+    if (result === STREAM_START_TIMEOUT) {
+      return replay();
+    }
+    if (result === STREAM_IDLE_TIMEOUT) {
+      reader.cancel().catch(() => {});
+      throw new Error(`Upstream stream sent no data for ${idleTimeout / 1000}s before the first chunk`);
+    }
+    pending = null;
+    
+    const { value, done } = result;
+    if (done) {
+      throw new Error('Upstream stream ended before the first chunk');
+    }
+    chunks.push(value);
+    
+    for (const data of parser.push(decoder.decode(value, { stream: true }))) {
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      
+      if (parsed.error) {
+        reader.cancel().catch(() => {});
+        return { error: { status: parsed.error.code || 500, body: JSON.stringify(parsed) } };
+      }
+      if (parsed.candidates?.[0] || parsed.promptFeedback) {
+        return replay();
+      }
+    }
+  }
+}
+
+// SSE 心跳：超过 interval 毫秒没有输出时发送注释行，防止中间代理和客户端因空闲断开连接
+const HEARTBEAT_CHUNK = new TextEncoder().encode(': ping\r\n\r\n');
+
+function createHeartbeatStream(interval) {
+  let timer = null;
+  const schedule = controller => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        controller.enqueue(HEARTBEAT_CHUNK);
+        schedule(controller);
+      } catch {
+        // 流已结束或被取消，停止心跳
+      }
+    }, interval);
+  };
+  
+  return new TransformStream({
+    start(controller) {
+      if (interval) schedule(controller);
+    },
+    transform(chunk, controller) {
+      controller.enqueue(chunk);
+      if (interval) schedule(controller);
+    },
+    flush() {
+      clearTimeout(timer);
+    }
+  });
+}
+
+// 优化的流响应处理器 - 简化架构并增强错误恢复
+function handleStreamResponse(response, model, id, {
+  onUsage, onComplete, onAbort, waitUntil, signal, heartbeatInterval, idleTimeout, parallelToolCalls, includeUsage
+} = {}) {
+  // 检查 response 是否有效
+  if (!response || !response.body) {
+    onComplete?.();
+    return createErrorResponse(500, 'Invalid streaming response');
+  }
+
+  const { readable, writable } = new TransformStream();
+  
+  // 上游读取出错或空闲超时时正常结束输入，由解析层以错误事件通知客户端
+  let upstreamError = null;
+  const reader = response.body.getReader();
+  const upstream = new ReadableStream({
+    async pull(controller) {
+      let timer;
+      try {
+        const read = idleTimeout
+          ? Promise.race([
+              reader.read(),
+              new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`no data for ${idleTimeout / 1000}s`)), idleTimeout);
+              })
+            ])
+          : reader.read();
+        const { value, done } = await read;
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (err) {
+        upstreamError = err;
+        reader.cancel(err).catch(() => {});
+        controller.close();
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  
+  // 创建错误恢复包装器
+  const errorRecoveryStream = new TransformStream({
+    transform(chunk, controller) {
+      try {
+        controller.enqueue(chunk);
+      } catch (err) {
+        // 发送空内容块保持流连续性，不中断流
         const recoveryChunk = createOptimizedChunk("", model, id, false);
         controller.enqueue(recoveryChunk);
       }
@@ -886,25 +2967,47 @@ function handleStreamResponse(response, model, id) {
     // 移除 flush 方法，避免重复发送 [DONE]
   });
   
-  // 优化后的流处理管道：从4层减少到3层
-  response.body
-    .pipeThrough(createOptimizedParseStream(model, id))  // 合并的解析和转换层
+  // 用量在管道结束时上报，客户端在上游结束前断开时同样计入最后一次收到的用量，避免通过断开连接绕过预算
+  let lastUsage = null;
+  
+  // 流处理管道：解析转换 → 错误恢复 → 编码 → 心跳
+  const pipeline = upstream
+    .pipeThrough(createOptimizedParseStream(model, id, {  // 合并的解析和转换层
+      onUsageUpdate: usageMetadata => { lastUsage = usageMetadata; },
+      parallelToolCalls,
+      includeUsage,
+      getUpstreamError: () => upstreamError
+    }))
     .pipeThrough(errorRecoveryStream)                    // 错误恢复层
     .pipeThrough(new TextEncoderStream())                // 编码层
-    .pipeTo(writable)
+    .pipeThrough(createHeartbeatStream(heartbeatInterval))  // 心跳层
+    .pipeTo(writable, { signal })  // 客户端断开时取消整个管道和上游请求
     .catch(err => {
-      // 优雅关闭而不是突然中断
+      if (signal?.aborted) {
+        onAbort?.();
+      }
+      // 优雅关闭而不是突然中断；已关闭时静默处理
+      writable.close().catch(() => {});
+    })
+    .finally(() => {
       try {
-        writable.close();
-      } catch (closeErr) {
-        // 关闭失败，静默处理
+        if (lastUsage) {
+          onUsage?.(lastUsage);
+        }
+      } catch (err) {
+        console.error('Failed to report stream usage:', err.message);
       }
+      onComplete?.();
     });
+  
+  // 让运行时保持请求存活直到流传输结束
+  waitUntil?.(pipeline);
 
   // 返回优化的响应头
   return new Response(readable, {
     headers: {
-      ...COMMON_HEADERS.SSE,
+      ...BASE_HEADERS,
+      "Content-Type": CONTENT_TYPE_SSE,
       // 添加流控制头，优化缓冲行为
       'X-Accel-Buffering': 'no',
       'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -914,29 +3017,43 @@ function handleStreamResponse(response, model, id) {
 }
 
 // Non-Stream Response Handler
-async function handleNonStreamResponse(response, model, id) {
+async function handleNonStreamResponse(response, model, id, { onUsage, parallelToolCalls } = {}) {
   try {
     const { candidates, usageMetadata } = await response.json();
+    if (usageMetadata && onUsage) {
+      onUsage(usageMetadata);
+    }
     
     return new Response(
       JSON.stringify({
         id,
-        choices: candidates.map(cand => ({
-          index: cand.index || 0,
-          message: {
-            role: "assistant",
-            content: cand.content?.parts[0]?.text || ""
-          },
-          finish_reason: reasonsMap[cand.finishReason] || cand.finishReason
-        })),
+        choices: candidates.map(cand => {
+          let toolCalls = (cand.content?.parts || [])
+            .filter(part => part.functionCall)
+            .map(transformFunctionCall);
+          if (parallelToolCalls === false) {
+            toolCalls = toolCalls.slice(0, 1);
+          }
+          const text = transformPartsToText(cand.content?.parts);
+          const reasoning = transformPartsToReasoning(cand.content?.parts);
+          
+          return {
+            index: cand.index || 0,
+            message: {
+              role: "assistant",
+              content: toolCalls.length ? text || null : text,
+              reasoning_content: reasoning || undefined,
+              tool_calls: toolCalls.length ? toolCalls : undefined
+            },
+            finish_reason: toolCalls.length && cand.finishReason === "STOP"
+              ? "tool_calls"
+              : reasonsMap[cand.finishReason] || cand.finishReason
+          };
+        }),
         created: Date.now() / 1000 | 0,
         model,
         object: "chat.completion",
-        usage: usageMetadata && {
-          completion_tokens: usageMetadata.candidatesTokenCount || 0,
-          prompt_tokens: usageMetadata.promptTokenCount || 0,
-          total_tokens: usageMetadata.totalTokenCount || 0
-        }
+        usage: usageMetadata && transformUsage(usageMetadata)
       }), 
       { headers: COMMON_HEADERS.JSON }
     );
@@ -951,8 +3068,8 @@ async function handleModels() {
   const maxRetries = Math.min(2, keyPool.getStats().totalKeys);
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
+    const apiKey = keyPool.getNextKey();
     try {
-      const apiKey = keyPool.getNextKey();
       const response = await fetch(API_ENDPOINTS.models, {
         headers: {
           "x-goog-api-key": apiKey,
@@ -963,15 +3080,24 @@ async function handleModels() {
       if (response.ok) {
         keyPool.markKeySuccess(apiKey);
         const { models } = await response.json();
+        const created = Date.now() / 1000 | 0;
+        // 别名排在 Gemini 模型之后，root 为实际使用的模型
+        const aliases = Object.entries(modelOptions.aliases).map(([id, target]) => ({
+          id,
+          object: "model",
+          created,
+          owned_by: "google",
+          root: target
+        }));
         return new Response(
           JSON.stringify({
             object: "list",
             data: models.map(({ name }) => ({
               id: name.replace("models/", ""),
               object: "model",
-              created: Date.now() / 1000 | 0,
+              created,
               owned_by: "google"
-            }))
+            })).concat(aliases)
           }),
           { headers: COMMON_HEADERS.JSON }
         );
@@ -979,7 +3105,7 @@ async function handleModels() {
 
       // 智能错误处理 - 先克隆响应以避免 body 被多次使用
       const responseClone = response.clone();
-      const errorType = handleApiError(apiKey, response);
+      const errorType = await handleApiError(apiKey, response);
       if (errorType === 'permanent' || errorType === 'temporary') {
         lastError = new Error(`Models API error: ${response.status}`);
         continue; // 尝试下一个 key
@@ -996,27 +3122,109 @@ async function handleModels() {
     } catch (err) {
       lastError = err;
       // console.error(`Network error in handleModels:`, err.message);
+    } finally {
+      keyPool.releaseKey(apiKey);
     }
   }
   
   return createErrorResponse(500, lastError?.message || "Failed to fetch models");
 }
 
+// Key Probe - 半开探测使用的廉价请求（模型列表）
+async function probeKey(apiKey) {
+  const response = await fetch(API_ENDPOINTS.models, {
+    headers: {
+      "x-goog-api-key": apiKey,
+      "x-goog-api-client": API_CLIENT
+    }
+  });
+  await response.body?.cancel();
+  return { ok: response.ok, status: response.status };
+}
+
+// Scheduled Health Check - 用模型列表请求验证每个 key，更新 key 池状态并保存报告
+const HEALTH_CHECK_CONCURRENCY = 5;
+
+async function runHealthCheck() {
+  const startTime = Date.now();
+  const results = [];
+  
+  // 分批并发，避免超出子请求限制
+  for (let i = 0; i < keyPool.keys.length; i += HEALTH_CHECK_CONCURRENCY) {
+    const batch = keyPool.keys.slice(i, i + HEALTH_CHECK_CONCURRENCY);
+    results.push(...await Promise.all(batch.map(checkKeyHealth)));
+  }
+  
+  const report = {
+    checkedAt: new Date(startTime).toISOString(),
+    durationMs: Date.now() - startTime,
+    totalKeys: results.length,
+    healthyKeys: results.filter(result => result.ok).length,
+    keys: results
+  };
+  
+  try {
+    await keyPool.store.put(HEALTH_REPORT_NAME, report);
+  } catch (err) {
+    console.error('Failed to save health report:', err.message);
+  }
+  
+  return report;
+}
+
+async function checkKeyHealth(apiKey) {
+  const startTime = Date.now();
+  const result = { key: fingerprintKey(apiKey), ok: false, status: null };
+  
+  try {
+    const response = await fetch(API_ENDPOINTS.models, {
+      headers: {
+        "x-goog-api-key": apiKey,
+        "x-goog-api-client": API_CLIENT
+      }
+    });
+    result.ok = response.ok;
+    result.status = response.status;
+    
+    if (response.ok) {
+      await response.body?.cancel();
+      keyPool.restoreKey(apiKey);
+    } else {
+      result.errorType = await handleApiError(apiKey, response);
+    }
+  } catch (err) {
+    // 网络错误，短期冷却
+    result.error = err.message;
+    keyPool.markKeyCooling(apiKey, 5);
+  }
+  
+  result.latencyMs = Date.now() - startTime;
+  return result;
+}
+
 // Embeddings Handler with Intelligent Error Handling
-async function handleEmbeddings(req) {
+async function handleEmbeddings(req, identity) {
   if (!req.input) {
     return createErrorResponse(400, "Input is required");
   }
 
   const inputs = Array.isArray(req.input) ? req.input : [req.input];
-  const model = `models/${req.model || "embedding-001"}`;
+  const modelName = resolveModel(req.model, DEFAULT_EMBEDDING_MODEL);
+  if (!modelName) {
+    return createModelNotFoundResponse(req.model);
+  }
+  const model = `models/${modelName}`;
+  
+  if (!authManager.isModelAllowed(identity, modelName)) {
+    return createErrorResponse(403, `Token "${identity.name}" is not allowed to use model ${modelName}`);
+  }
   
   let lastError = null;
   const maxRetries = Math.min(2, keyPool.getStats().totalKeys);
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
+    const apiKey = keyPool.getNextKey(modelName);
     try {
-      const apiKey = keyPool.getNextKey();
       const response = await fetch(API_ENDPOINTS.embeddings(model), {
         method: "POST",
         headers: {
@@ -1043,7 +3251,7 @@ async function handleEmbeddings(req) {
               embedding: embedding.values,
               index
             })),
-            model: model.replace("models/", ""),
+            model: modelName,
             usage: {
               prompt_tokens: inputs.reduce((acc, text) => acc + text.length, 0),
               total_tokens: inputs.reduce((acc, text) => acc + text.length, 0)
@@ -1055,7 +3263,7 @@ async function handleEmbeddings(req) {
 
       // 智能错误处理 - 先克隆响应以避免 body 被多次使用
       const responseClone = response.clone();
-      const errorType = handleApiError(apiKey, response);
+      const errorType = await handleApiError(apiKey, response, modelName);
       if (errorType === 'permanent' || errorType === 'temporary') {
         lastError = new Error(`Embeddings API error: ${response.status}`);
         continue; // 尝试下一个 key
@@ -1073,19 +3281,1082 @@ async function handleEmbeddings(req) {
     } catch (err) {
       lastError = err;
       // console.error(`Network error in handleEmbeddings:`, err.message);
+    } finally {
+      keyPool.releaseKey(apiKey);
     }
   }
   
   return createErrorResponse(500, lastError?.message || "Embeddings processing failed");
 }
 
+// Native Gemini API Passthrough
+// 请求体和响应原样转发，只替换 key；失败时与聊天接口一样按 handleApiError 冷却并换 key 重试
+const NATIVE_API_PATH = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent|countTokens|embedContent|batchEmbedContents)$/;
+
+async function handleNativeRequest(request, url, identity, { onUsage: onClientUsage, waitUntil, signal } = {}) {
+  const [, model, method] = url.pathname.match(NATIVE_API_PATH);
+  
+  if (!authManager.isModelAllowed(identity, model)) {
+    return createGoogleErrorResponse(403, `Token "${identity.name}" is not allowed to use model ${model}`);
+  }
+  
+  const body = await request.text();
+  // 转发除 key 以外的查询参数（如 alt=sse），客户端 token 不能发给 Gemini
+  const params = new URLSearchParams(url.search);
+  params.delete("key");
+  const target = API_ENDPOINTS.native(model, method, params.toString());
+  const isSse = method === "streamGenerateContent" && params.get("alt") === "sse";
+  
+  try {
+    let lastError = null;
+    const maxRetries = Math.min(3, keyPool.getStats().totalKeys);
+    
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      const apiKey = keyPool.getNextKey(model);
+      let releaseOnStreamEnd = false;
+      
+      try {
+        const response = await fetch(target, {
+          method: "POST",
+          headers: {
+            "Content-Type": CONTENT_TYPE_JSON,
+            "x-goog-api-key": apiKey,
+            "x-goog-api-client": request.headers.get("x-goog-api-client") || API_CLIENT
+          },
+          body,
+          signal
+        });
+        
+        if (response.ok) {
+          // 流式请求同样在第一个有效数据块之前失败时换 key 重试
+          let stream = null;
+          if (isSse) {
+            stream = await awaitStreamStart(response, {
+              commitAfter: streamOptions.heartbeatInterval,
+              idleTimeout: streamOptions.idleTimeout
+            });
+            if (stream.error) {
+              const errorResponse = new Response(stream.error.body, { status: stream.error.status });
+              const errorType = await handleApiError(apiKey, errorResponse, model);
+              if (errorType === 'client_error') {
+                return createNativeErrorResponse(stream.error.status, stream.error.body);
+              }
+              lastError = new Error(`Upstream stream failed before the first chunk: ${stream.error.status}`);
+              continue;
+            }
+          }
+          
+          keyPool.markKeySuccess(apiKey);
+          const onUsage = usageMetadata => {
+            keyPool.recordTokens(apiKey, usageMetadata);
+            onClientUsage?.(usageMetadata, model);
+          };
+          if (isSse) {
+            releaseOnStreamEnd = true;
+            return handleNativeStreamResponse(stream.response, {
+              onUsage,
+              onComplete: () => keyPool.releaseKey(apiKey),
+              onAbort: () => keyPool.recordAbortedRequest(),
+              waitUntil,
+              signal
+            });
+          }
+          
+          // 非 SSE 的 streamGenerateContent 返回 JSON 数组，用量在最后一个元素中
+          const text = await response.text();
+          try {
+            const data = JSON.parse(text);
+            const usageMetadata = Array.isArray(data) ? data.at(-1)?.usageMetadata : data.usageMetadata;
+            if (usageMetadata) {
+              onUsage(usageMetadata);
+            }
+          } catch {
+            // 无法解析时仍原样返回
+          }
+          return new Response(text, { headers: COMMON_HEADERS.JSON });
+        }
+        
+        const responseClone = response.clone();
+        const errorType = await handleApiError(apiKey, response, model);
+        if (errorType === 'permanent' || errorType === 'temporary') {
+          lastError = new Error(`Gemini API error: ${response.status}`);
+          continue;
+        }
+        // 客户端错误原样返回 Gemini 的错误体，SDK 可以直接解析
+        return createNativeErrorResponse(response.status, await responseClone.text().catch(() => ""));
+        
+      } catch (err) {
+        if (signal?.aborted) {
+          keyPool.recordAbortedRequest();
+          return createGoogleErrorResponse(499, 'Client closed request');
+        }
+        
+        lastError = err;
+        keyPool.markKeyCooling(apiKey, 5); // 网络错误，5分钟冷却
+      } finally {
+        if (!releaseOnStreamEnd) {
+          keyPool.releaseKey(apiKey);
+        }
+      }
+    }
+    
+    throw lastError || new Error('All API keys failed or cooling');
+    
+  } catch (err) {
+    return createGoogleErrorResponse(500, err.message);
+  }
+}
+
+function createNativeErrorResponse(status, body) {
+  if (!body) {
+    return createGoogleErrorResponse(status, `HTTP ${status} Error`);
+  }
+  return new Response(body, { status, headers: COMMON_HEADERS.JSON });
+}
+
+// Google API 的错误格式 {error:{code,message,status}}，原生接口的 SDK 按此解析
+const GOOGLE_ERROR_STATUSES = {
+  400: "INVALID_ARGUMENT",
+  401: "UNAUTHENTICATED",
+  403: "PERMISSION_DENIED",
+  404: "NOT_FOUND",
+  429: "RESOURCE_EXHAUSTED",
+  499: "CANCELLED",
+  500: "INTERNAL",
+  503: "UNAVAILABLE",
+  504: "DEADLINE_EXCEEDED"
+};
+
+function createGoogleErrorResponse(status, message) {
+  return new Response(
+    JSON.stringify({ error: { code: status, message, status: GOOGLE_ERROR_STATUSES[status] || "UNKNOWN" } }),
+    { status, headers: COMMON_HEADERS.JSON }
+  );
+}
+
+// 原生流式响应原样转发（不插入心跳注释，SDK 只接受 data 行），同时从事件中读取用量
+function handleNativeStreamResponse(response, { onUsage, onComplete, onAbort, waitUntil, signal } = {}) {
+  const decoder = new TextDecoder();
+  let parser = new SseEventParser();
+  let usageMetadata = null;
+  
+  const collect = events => {
+    for (const data of events) {
+      try {
+        usageMetadata = JSON.parse(data).usageMetadata || usageMetadata;
+      } catch {
+        // 不完整或非 JSON 的事件不影响转发
+      }
+    }
+  };
+  const usageStream = new TransformStream({
+    transform(chunk, controller) {
+      controller.enqueue(chunk);
+      try {
+        parser && collect(parser.push(decoder.decode(chunk, { stream: true })));
+      } catch {
+        parser = null;  // 超大事件：停止统计，继续转发
+      }
+    },
+    flush() {
+      try {
+        parser && collect([...parser.push(decoder.decode()), ...parser.end()]);
+      } catch {
+        // 同上
+      }
+    }
+  });
+  
+  const { readable, writable } = new TransformStream();
+  const pipeline = response.body
+    .pipeThrough(usageStream)
+    .pipeTo(writable, { signal })
+    .catch(() => {
+      if (signal?.aborted) {
+        onAbort?.();
+      }
+    })
+    .finally(() => {
+      // 客户端中途断开时 flush 不会执行，在这里上报已收到的用量
+      try {
+        if (usageMetadata) {
+          onUsage?.(usageMetadata);
+        }
+      } catch (err) {
+        console.error('Failed to report stream usage:', err.message);
+      }
+      onComplete?.();
+    });
+  waitUntil?.(pipeline);
+  
+  return new Response(readable, {
+    headers: {
+      ...BASE_HEADERS,
+      "Content-Type": CONTENT_TYPE_SSE,
+      'X-Accel-Buffering': 'no',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    }
+  });
+}
+
+// Anthropic Messages API
+// 请求先转换为聊天接口的格式，经 handleRequest 走相同的 Gemini 转换和 key 池重试，响应再转换回 Messages 格式
+const ANTHROPIC_STOP_REASONS = {
+  stop: "end_turn",
+  length: "max_tokens",
+  tool_calls: "tool_use",
+  content_filter: "refusal"
+};
+
+const ANTHROPIC_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  503: "overloaded_error"
+};
+
+function createAnthropicErrorResponse(status, message) {
+  return new Response(
+    JSON.stringify({
+      type: "error",
+      error: { type: ANTHROPIC_ERROR_TYPES[status] || "api_error", message }
+    }),
+    { status, headers: COMMON_HEADERS.JSON }
+  );
+}
+
+// 内容块中的文本（system、tool_result 可以是字符串或 text 块数组）
+function getAnthropicText(content) {
+  return Array.isArray(content)
+    ? content.filter(block => block.type === "text").map(block => block.text).join("")
+    : content ?? "";
+}
+
+function transformAnthropicImage({ source }) {
+  const url = source?.type === "base64"
+    ? `data:${source.media_type};base64,${source.data}`
+    : source?.url;
+  if (!url) {
+    throw new Error(`Invalid image source type: ${source?.type}`);
+  }
+  return { type: "image_url", image_url: { url } };
+}
+
+// 一条 Anthropic 消息可能拆成多条：tool_result 块转换为 tool 消息（在前），tool_use 块转换为 tool_calls
+function transformAnthropicMessage({ role, content }) {
+  if (role !== "user" && role !== "assistant") {
+    throw new Error(`Invalid role: ${role}`);
+  }
+  if (!Array.isArray(content)) {
+    return [{ role, content }];
+  }
+
+  const messages = [];
+  const parts = [];
+  const toolCalls = [];
+  for (const block of content) {
+    switch (block.type) {
+      case "text":
+        parts.push({ type: "text", text: block.text });
+        break;
+      case "image":
+        parts.push(transformAnthropicImage(block));
+        break;
+      case "tool_use":
+        toolCalls.push({
+          id: block.id,
+          type: "function",
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+        });
+        break;
+      case "tool_result": {
+        const text = getAnthropicText(block.content);
+        messages.push({
+          role: "tool",
+          tool_call_id: block.tool_use_id,
+          content: block.is_error ? JSON.stringify({ error: text }) : text
+        });
+        break;
+      }
+      case "thinking":
+      case "redacted_thinking":
+        // 思考内容不回传给 Gemini
+        break;
+      default:
+        throw new Error(`Invalid content type: ${block.type}`);
+    }
+  }
+
+  if (parts.length || toolCalls.length) {
+    messages.push({
+      role,
+      content: parts.length ? parts : null,
+      tool_calls: toolCalls.length ? toolCalls : undefined
+    });
+  }
+  return messages;
+}
+
+function transformAnthropicToolChoice(choice) {
+  switch (choice?.type) {
+    case undefined:
+      return undefined;
+    case "auto":
+    case "none":
+      return choice.type;
+    case "any":
+      return "required";
+    case "tool":
+      return { type: "function", function: { name: choice.name } };
+    default:
+      throw new Error(`Invalid tool_choice: ${JSON.stringify(choice)}`);
+  }
+}
+
+// Messages 请求转换为聊天请求
+function transformAnthropicRequest(req) {
+  if (!Array.isArray(req?.messages) || !req.messages.length) {
+    throw new Error("messages array is required");
+  }
+
+  const messages = req.messages.flatMap(transformAnthropicMessage);
+  if (req.system) {
+    messages.unshift({ role: "system", content: getAnthropicText(req.system) });
+  }
+
+  let thinkingBudget;
+  if (req.thinking?.type === "enabled") {
+    thinkingBudget = req.thinking.budget_tokens;
+  } else if (req.thinking?.type === "disabled") {
+    thinkingBudget = 0;
+  }
+
+  return {
+    model: req.model,
+    messages,
+    stream: req.stream === true,
+    stream_options: req.stream ? { include_usage: true } : undefined,
+    max_tokens: req.max_tokens,
+    temperature: req.temperature,
+    top_p: req.top_p,
+    top_k: req.top_k,
+    stop: req.stop_sequences,
+    tools: req.tools?.map(tool => ({
+      type: "function",
+      function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+    })),
+    tool_choice: transformAnthropicToolChoice(req.tool_choice),
+    parallel_tool_calls: req.tool_choice?.disable_parallel_tool_use ? false : undefined,
+    thinking_budget: thinkingBudget
+  };
+}
+
+function transformAnthropicUsage(usage) {
+  return {
+    input_tokens: usage?.prompt_tokens || 0,
+    output_tokens: usage?.completion_tokens || 0
+  };
+}
+
+// 聊天响应的 id（chatcmpl-xxx）转换为 msg_xxx
+const toAnthropicMessageId = id => "msg_" + id.slice(9);
+
+function transformChatCompletionToMessage(data) {
+  const { message, finish_reason } = data.choices[0] || {};
+  const content = [];
+  if (message?.reasoning_content) {
+    content.push({ type: "thinking", thinking: message.reasoning_content, signature: "" });
+  }
+  if (message?.content) {
+    content.push({ type: "text", text: message.content });
+  }
+  for (const call of message?.tool_calls || []) {
+    content.push({
+      type: "tool_use",
+      id: call.id,
+      name: call.function.name,
+      input: parseToolArguments(call.function.arguments)
+    });
+  }
+
+  return {
+    id: toAnthropicMessageId(data.id),
+    type: "message",
+    role: "assistant",
+    model: data.model,
+    content,
+    stop_reason: ANTHROPIC_STOP_REASONS[finish_reason] || "end_turn",
+    stop_sequence: null,
+    usage: transformAnthropicUsage(data.usage)
+  };
+}
+
+// 聊天流式数据块转换为 Messages 流式事件：
+// message_start → (content_block_start → content_block_delta* → content_block_stop)* → message_delta → message_stop
+function createAnthropicStream() {
+  const decoder = new TextDecoder();
+  const parser = new SseEventParser();
+  let started = false;
+  let ended = false;
+  let block = null;        // 当前打开的内容块 { index, type }
+  let blockCount = 0;
+  let stopReason = "end_turn";
+  let usage = transformAnthropicUsage(null);
+
+  const send = (controller, type, data) => {
+    controller.enqueue(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  };
+
+  const start = (controller, id, model) => {
+    started = true;
+    send(controller, "message_start", {
+      message: {
+        id, type: "message", role: "assistant", model, content: [],
+        stop_reason: null, stop_sequence: null, usage
+      }
+    });
+  };
+
+  const closeBlock = controller => {
+    if (!block) return;
+    send(controller, "content_block_stop", { index: block.index });
+    block = null;
+  };
+
+  // 文本和思考内容连续时追加到同一个块，每个工具调用单独一个块
+  const openBlock = (controller, contentBlock) => {
+    if (block?.type === contentBlock.type && contentBlock.type !== "tool_use") return;
+    closeBlock(controller);
+    block = { index: blockCount++, type: contentBlock.type };
+    send(controller, "content_block_start", { index: block.index, content_block: contentBlock });
+  };
+
+  const sendDelta = (controller, delta) => {
+    send(controller, "content_block_delta", { index: block.index, delta });
+  };
+
+  const finish = controller => {
+    if (ended) return;
+    ended = true;
+    if (!started) {
+      start(controller, toAnthropicMessageId(generateChatcmplId()), null);
+    }
+    closeBlock(controller);
+    send(controller, "message_delta", { delta: { stop_reason: stopReason, stop_sequence: null }, usage });
+    send(controller, "message_stop", {});
+  };
+
+  const handleEvent = (data, controller) => {
+    if (ended) return;
+    if (data === "[DONE]") {
+      finish(controller);
+      return;
+    }
+
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      // 流中错误：以 error 事件结束，不再发送 message_stop
+      ended = true;
+      closeBlock(controller);
+      send(controller, "error", {
+        error: { type: ANTHROPIC_ERROR_TYPES[chunk.error.code] || "api_error", message: chunk.error.message }
+      });
+      return;
+    }
+
+    if (!started) {
+      start(controller, toAnthropicMessageId(chunk.id), chunk.model);
+    }
+    if (chunk.usage) {
+      usage = transformAnthropicUsage(chunk.usage);
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    if (delta.reasoning_content) {
+      openBlock(controller, { type: "thinking", thinking: "" });
+      sendDelta(controller, { type: "thinking_delta", thinking: delta.reasoning_content });
+    }
+    if (delta.content) {
+      openBlock(controller, { type: "text", text: "" });
+      sendDelta(controller, { type: "text_delta", text: delta.content });
+    }
+    for (const call of delta.tool_calls || []) {
+      if (call.id) {
+        openBlock(controller, { type: "tool_use", id: call.id, name: call.function?.name, input: {} });
+      }
+      if (call.function?.arguments) {
+        sendDelta(controller, { type: "input_json_delta", partial_json: call.function.arguments });
+      }
+    }
+    if (choice.finish_reason && choice.finish_reason !== "error") {
+      stopReason = ANTHROPIC_STOP_REASONS[choice.finish_reason] || "end_turn";
+    }
+  };
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      for (const data of parser.push(decoder.decode(chunk, { stream: true }))) {
+        handleEvent(data, controller);
+      }
+    },
+    flush(controller) {
+      for (const data of [...parser.push(decoder.decode()), ...parser.end()]) {
+        handleEvent(data, controller);
+      }
+      finish(controller);
+    }
+  });
+}
+
+async function handleMessages(req, identity, options) {
+  let chatReq;
+  try {
+    chatReq = transformAnthropicRequest(req);
+  } catch (err) {
+    return createAnthropicErrorResponse(400, err.message);
+  }
+
+  const response = await handleRequest(chatReq, identity, options);
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    // Gemini 的客户端错误以原始错误体作为 message，取出其中的错误信息
+    let message = error?.message || `HTTP ${response.status} Error`;
+    try {
+      message = JSON.parse(message).error?.message || message;
+    } catch {
+      // 普通文本
+    }
+    return createAnthropicErrorResponse(response.status, message);
+  }
+
+  if (chatReq.stream) {
+    // 聊天流中的心跳注释在转换时被丢弃，转换后重新发送
+    const body = response.body
+      .pipeThrough(createAnthropicStream())
+      .pipeThrough(new TextEncoderStream())
+      .pipeThrough(createHeartbeatStream(streamOptions.heartbeatInterval));
+    return new Response(body, { headers: response.headers });
+  }
+
+  return createJsonResponse(transformChatCompletionToMessage(await response.json()));
+}
+
+// OpenAI Responses API
+// 与 Messages 接口相同：转换为聊天请求后经 handleRequest 处理，响应转换为 Responses 格式
+const generateResponseItemId = prefix => `${prefix}_${generateChatcmplId().slice(9)}`;
+
+function transformResponsesContent(content) {
+  if (!Array.isArray(content)) {
+    return content ?? "";
+  }
+  return content.map(part => {
+    switch (part.type) {
+      case "input_text":
+      case "output_text":
+        return { type: "text", text: part.text };
+      case "refusal":
+        return { type: "text", text: part.refusal };
+      case "input_image":
+        if (!part.image_url) {
+          throw new Error("input_image requires image_url (file_id is not supported)");
+        }
+        return { type: "image_url", image_url: { url: part.image_url } };
+      default:
+        throw new Error(`Unsupported content type: ${part.type}`);
+    }
+  });
+}
+
+// 输入 items 转换为聊天消息；连续的 function_call 合并到同一条 assistant 消息中
+function transformResponsesInput(items) {
+  const messages = [];
+  for (const item of items) {
+    const type = item.type || "message";
+    switch (type) {
+      case "message":
+        messages.push({
+          role: item.role === "developer" ? "system" : item.role,
+          content: transformResponsesContent(item.content)
+        });
+        break;
+      case "function_call": {
+        const call = {
+          id: item.call_id,
+          type: "function",
+          function: { name: item.name, arguments: item.arguments }
+        };
+        const last = messages[messages.length - 1];
+        if (last?.role === "assistant") {
+          last.tool_calls = [...(last.tool_calls || []), call];
+        } else {
+          messages.push({ role: "assistant", content: null, tool_calls: [call] });
+        }
+        break;
+      }
+      case "function_call_output":
+        messages.push({
+          role: "tool",
+          tool_call_id: item.call_id,
+          content: transformResponsesContent(item.output)
+        });
+        break;
+      case "reasoning":
+        // 思考摘要不回传给 Gemini
+        break;
+      default:
+        throw new Error(`Unsupported input item type: ${type}`);
+    }
+  }
+  return messages;
+}
+
+function transformResponsesTools(tools) {
+  return tools?.map(tool => {
+    if (tool.type !== "function") {
+      throw new Error(`Unsupported tool type: ${tool.type}`);
+    }
+    return {
+      type: "function",
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    };
+  });
+}
+
+function transformResponsesFormat(format) {
+  switch (format?.type) {
+    case "json_schema":
+      return { type: "json_schema", json_schema: { name: format.name, schema: format.schema } };
+    case "json_object":
+      return { type: "json_object" };
+    default:
+      return undefined;
+  }
+}
+
+// Responses 请求转换为聊天请求，items 为包含历史记录的全部输入
+function transformResponsesRequest(req, items) {
+  const messages = transformResponsesInput(items);
+  if (req.instructions) {
+    messages.unshift({ role: "system", content: req.instructions });
+  }
+  
+  const choice = req.tool_choice;
+  return {
+    model: req.model,
+    messages,
+    stream: req.stream === true,
+    stream_options: req.stream ? { include_usage: true } : undefined,
+    max_tokens: req.max_output_tokens ?? undefined,
+    temperature: req.temperature ?? undefined,
+    top_p: req.top_p ?? undefined,
+    tools: transformResponsesTools(req.tools),
+    tool_choice: choice?.type === "function" ? { type: "function", function: { name: choice.name } } : choice,
+    parallel_tool_calls: req.parallel_tool_calls,
+    reasoning_effort: req.reasoning?.effort ?? undefined,
+    response_format: transformResponsesFormat(req.text?.format)
+  };
+}
+
+function transformResponsesUsage(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.prompt_tokens,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: usage.completion_tokens,
+    output_tokens_details: { reasoning_tokens: usage.completion_tokens_details?.reasoning_tokens || 0 },
+    total_tokens: usage.total_tokens
+  };
+}
+
+// 结束原因对应的响应状态：截断或被拦截时为 incomplete
+function getResponseStatus(finishReason) {
+  if (finishReason === "length") {
+    return { status: "incomplete", incomplete_details: { reason: "max_output_tokens" } };
+  }
+  if (finishReason === "content_filter") {
+    return { status: "incomplete", incomplete_details: { reason: "content_filter" } };
+  }
+  return { status: "completed", incomplete_details: null };
+}
+
+function createReasoningItem(text) {
+  return { id: generateResponseItemId("rs"), type: "reasoning", summary: [{ type: "summary_text", text }] };
+}
+
+function createMessageItem(text, status = "completed") {
+  return {
+    id: generateResponseItemId("msg"),
+    type: "message",
+    status,
+    role: "assistant",
+    content: text === null ? [] : [{ type: "output_text", text, annotations: [] }]
+  };
+}
+
+function createFunctionCallItem({ id, function: fn }, status = "completed") {
+  return {
+    id: generateResponseItemId("fc"),
+    type: "function_call",
+    status,
+    call_id: id,
+    name: fn.name,
+    arguments: fn.arguments
+  };
+}
+
+function transformChatCompletionToResponse(data, response) {
+  const { message, finish_reason } = data.choices[0] || {};
+  const output = [];
+  if (message?.reasoning_content) {
+    output.push(createReasoningItem(message.reasoning_content));
+  }
+  if (message?.content) {
+    output.push(createMessageItem(message.content));
+  }
+  for (const call of message?.tool_calls || []) {
+    output.push(createFunctionCallItem(call));
+  }
+  
+  return {
+    ...response,
+    ...getResponseStatus(finish_reason),
+    model: data.model,
+    output,
+    usage: transformResponsesUsage(data.usage)
+  };
+}
+
+// 聊天流式数据块转换为 Responses 类型化事件：
+// response.created → response.in_progress → (response.output_item.added → 各类 delta/done 事件 → response.output_item.done)*
+// → response.completed / response.incomplete；上游出错时以 response.failed 结束
+function createResponsesStream(response, { onDone } = {}) {
+  const decoder = new TextDecoder();
+  const parser = new SseEventParser();
+  const output = [];
+  let sequence = 0;
+  let started = false;
+  let ended = false;
+  let current = null;      // 当前输出项 { item, outputIndex }
+  let finishReason = null;
+  let usage = null;
+  
+  const send = (controller, type, data) => {
+    controller.enqueue(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...data })}\n\n`);
+  };
+  const snapshot = extra => ({ ...response, status: "in_progress", output, usage, ...extra });
+  
+  const closeItem = controller => {
+    if (!current) return;
+    const { item, outputIndex } = current;
+    const ids = { item_id: item.id, output_index: outputIndex };
+    if (item.type === "reasoning") {
+      const part = item.summary[0];
+      send(controller, "response.reasoning_summary_text.done", { ...ids, summary_index: 0, text: part.text });
+      send(controller, "response.reasoning_summary_part.done", { ...ids, summary_index: 0, part });
+    } else if (item.type === "message") {
+      const part = item.content[0];
+      item.status = "completed";
+      send(controller, "response.output_text.done", { ...ids, content_index: 0, text: part.text });
+      send(controller, "response.content_part.done", { ...ids, content_index: 0, part });
+    } else {
+      item.status = "completed";
+      send(controller, "response.function_call_arguments.done", { ...ids, arguments: item.arguments });
+    }
+    send(controller, "response.output_item.done", { output_index: outputIndex, item });
+    current = null;
+  };
+  
+  // 文本和思考内容连续时追加到同一个输出项，每个函数调用单独一个输出项
+  const openItem = (controller, type, create) => {
+    if (current?.item.type === type && type !== "function_call") return current.item;
+    closeItem(controller);
+    const item = create();
+    current = { item, outputIndex: output.length };
+    output.push(item);
+    const ids = { item_id: item.id, output_index: current.outputIndex };
+    send(controller, "response.output_item.added", { output_index: current.outputIndex, item });
+    if (type === "reasoning") {
+      item.summary.push({ type: "summary_text", text: "" });
+      send(controller, "response.reasoning_summary_part.added", { ...ids, summary_index: 0, part: item.summary[0] });
+    } else if (type === "message") {
+      item.content.push({ type: "output_text", text: "", annotations: [] });
+      send(controller, "response.content_part.added", { ...ids, content_index: 0, part: item.content[0] });
+    }
+    return item;
+  };
+  
+  const finish = controller => {
+    if (ended) return;
+    ended = true;
+    closeItem(controller);
+    const final = snapshot(getResponseStatus(finishReason));
+    send(controller, final.status === "completed" ? "response.completed" : "response.incomplete", { response: final });
+    onDone?.(final);
+  };
+  
+  const handleEvent = (data, controller) => {
+    if (ended) return;
+    if (data === "[DONE]") {
+      finish(controller);
+      return;
+    }
+    
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      ended = true;
+      closeItem(controller);
+      send(controller, "response.failed", {
+        response: snapshot({ status: "failed", error: { code: "server_error", message: chunk.error.message } })
+      });
+      return;
+    }
+    
+    if (!started) {
+      started = true;
+      response = { ...response, model: chunk.model };
+      send(controller, "response.created", { response: snapshot() });
+      send(controller, "response.in_progress", { response: snapshot() });
+    }
+    if (chunk.usage) {
+      usage = transformResponsesUsage(chunk.usage);
+    }
+    
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    if (delta.reasoning_content) {
+      const item = openItem(controller, "reasoning", () => ({ ...createReasoningItem(""), summary: [] }));
+      item.summary[0].text += delta.reasoning_content;
+      send(controller, "response.reasoning_summary_text.delta", {
+        item_id: item.id, output_index: current.outputIndex, summary_index: 0, delta: delta.reasoning_content
+      });
+    }
+    if (delta.content) {
+      const item = openItem(controller, "message", () => createMessageItem(null, "in_progress"));
+      item.content[0].text += delta.content;
+      send(controller, "response.output_text.delta", {
+        item_id: item.id, output_index: current.outputIndex, content_index: 0, delta: delta.content
+      });
+    }
+    for (const call of delta.tool_calls || []) {
+      if (call.id) {
+        openItem(controller, "function_call", () => createFunctionCallItem({
+          id: call.id,
+          function: { name: call.function?.name, arguments: "" }
+        }, "in_progress"));
+      }
+      if (call.function?.arguments && current?.item.type === "function_call") {
+        current.item.arguments += call.function.arguments;
+        send(controller, "response.function_call_arguments.delta", {
+          item_id: current.item.id, output_index: current.outputIndex, delta: call.function.arguments
+        });
+      }
+    }
+    if (choice.finish_reason && choice.finish_reason !== "error") {
+      finishReason = choice.finish_reason;
+    }
+  };
+  
+  return new TransformStream({
+    transform(chunk, controller) {
+      for (const data of parser.push(decoder.decode(chunk, { stream: true }))) {
+        handleEvent(data, controller);
+      }
+    },
+    flush(controller) {
+      for (const data of [...parser.push(decoder.decode()), ...parser.end()]) {
+        handleEvent(data, controller);
+      }
+      if (started) {
+        finish(controller);
+      }
+    }
+  });
+}
+
+async function handleResponses(req, identity, options = {}) {
+  if (req.input === undefined || req.input === null) {
+    return createErrorResponse(400, "input is required");
+  }
+  const input = typeof req.input === "string" ? [{ role: "user", content: req.input }] : req.input;
+  if (!Array.isArray(input)) {
+    return createErrorResponse(400, "input must be a string or an array of items");
+  }
+  
+  // previous_response_id：从会话存储中取出之前的输入和输出，只能继续本 token 创建的响应
+  let history = [];
+  if (req.previous_response_id) {
+    const record = await conversationStore.get(req.previous_response_id).catch(err => {
+      console.error(`[${identity.name}] Failed to read conversation:`, err.message);
+      return null;
+    });
+    if (!record || record.owner !== identity.name) {
+      return createErrorResponse(404, `Previous response with id '${req.previous_response_id}' not found.`);
+    }
+    history = record.items;
+  }
+  
+  let chatReq;
+  try {
+    chatReq = transformResponsesRequest(req, [...history, ...input]);
+  } catch (err) {
+    return createErrorResponse(400, err.message);
+  }
+  
+  const chatResponse = await handleRequest(chatReq, identity, options);
+  if (!chatResponse.ok) {
+    return chatResponse;
+  }
+  
+  const response = {
+    id: generateResponseItemId("resp"),
+    object: "response",
+    created_at: Date.now() / 1000 | 0,
+    status: "in_progress",
+    error: null,
+    incomplete_details: null,
+    instructions: req.instructions ?? null,
+    max_output_tokens: req.max_output_tokens ?? null,
+    model: req.model,
+    output: [],
+    parallel_tool_calls: req.parallel_tool_calls ?? true,
+    previous_response_id: req.previous_response_id ?? null,
+    reasoning: req.reasoning ?? null,
+    store: req.store !== false,
+    temperature: req.temperature ?? null,
+    text: req.text ?? { format: { type: "text" } },
+    tool_choice: req.tool_choice ?? "auto",
+    tools: req.tools ?? [],
+    top_p: req.top_p ?? null,
+    usage: null,
+    metadata: req.metadata ?? {}
+  };
+  
+  // store 为 false 时不保存，之后不能用作 previous_response_id
+  const save = result => {
+    if (!response.store || result.status === "failed") return;
+    const pending = conversationStore.put(result.id, {
+      owner: identity.name,
+      items: [...history, ...input, ...result.output]
+    }).catch(err => console.error(`[${identity.name}] Failed to save conversation:`, err.message));
+    options.waitUntil?.(pending);
+    return pending;
+  };
+  
+  if (chatReq.stream) {
+    const body = chatResponse.body
+      .pipeThrough(createResponsesStream(response, { onDone: save }))
+      .pipeThrough(new TextEncoderStream())
+      .pipeThrough(createHeartbeatStream(streamOptions.heartbeatInterval));
+    return new Response(body, { headers: chatResponse.headers });
+  }
+  
+  const result = transformChatCompletionToResponse(await chatResponse.json(), response);
+  await save(result);
+  return createJsonResponse(result);
+}
+
+// Admin Key Management Handler
+// GET    /admin/keys                       列出所有 keys
+// POST   /admin/keys                       新增 key，body: { "key": "..." }
+// GET    /admin/keys/{fingerprint}         查看单个 key
+// DELETE /admin/keys/{fingerprint}         移除 key
+// POST   /admin/keys/{fingerprint}/disable 禁用 key
+// POST   /admin/keys/{fingerprint}/enable  启用 key
+// POST   /admin/keys/{fingerprint}/reset   清除失效和冷却状态
+const ADMIN_KEYS_PATH = /^\/admin\/keys(?:\/([0-9a-f]{8}))?(?:\/(disable|enable|reset))?\/?$/;
+
+async function handleAdminKeys(request, url) {
+  const [, fingerprint, action] = url.pathname.match(ADMIN_KEYS_PATH);
+  
+  // 先同步最新配置，避免覆盖其他 isolate 的修改
+  await keyPool.sync(true);
+  
+  if (!fingerprint) {
+    if (request.method === "GET") {
+      return createJsonResponse({ object: "list", data: keyPool.listKeys() });
+    }
+    if (request.method !== "POST") {
+      return createErrorResponse(405, "Method not allowed");
+    }
+    
+    const body = await request.json().catch(() => null);
+    const key = typeof body?.key === 'string' ? body.key.trim() : '';
+    if (!key) {
+      return createErrorResponse(400, "key is required");
+    }
+    if (keyPool.allKeys.includes(key)) {
+      return createErrorResponse(400, "Key already exists");
+    }
+    
+    return createJsonResponse(getAdminKeyDetail(await keyPool.addKey(key)), 201);
+  }
+  
+  const key = keyPool.findKey(fingerprint);
+  if (!key) {
+    return createErrorResponse(404, `Key not found: ${fingerprint}`);
+  }
+  
+  if (!action) {
+    if (request.method === "GET") {
+      return createJsonResponse(getAdminKeyDetail(fingerprint));
+    }
+    if (request.method !== "DELETE") {
+      return createErrorResponse(405, "Method not allowed");
+    }
+    if (keyPool.keys.length === 1 && keyPool.keys[0] === key) {
+      return createErrorResponse(400, "Cannot remove the last enabled key");
+    }
+    
+    await keyPool.removeKey(fingerprint);
+    return createJsonResponse({ fingerprint, deleted: true });
+  }
+  
+  if (request.method !== "POST") {
+    return createErrorResponse(405, "Method not allowed");
+  }
+  
+  switch (action) {
+    case "disable":
+      if (keyPool.keys.length === 1 && keyPool.keys[0] === key) {
+        return createErrorResponse(400, "Cannot disable the last enabled key");
+      }
+      await keyPool.setKeyDisabled(fingerprint, true);
+      break;
+    case "enable":
+      await keyPool.setKeyDisabled(fingerprint, false);
+      break;
+    case "reset":
+      keyPool.resetKey(key);
+      break;
+  }
+  
+  return createJsonResponse(getAdminKeyDetail(fingerprint));
+}
+
+function getAdminKeyDetail(fingerprint) {
+  return keyPool.listKeys().find(item => item.fingerprint === fingerprint);
+}
+
 // Enhanced Status Handler with Cooling Details
-async function handleStatus() {
+async function handleStatus(identity) {
   try {
+    const healthReport = await keyPool.store.get(HEALTH_REPORT_NAME).catch(() => null);
     const keyStats = keyPool.getStats();
     const coolingDetails = keyPool.getCoolingDetails();
+    const probeDetails = keyPool.getProbeDetails();
     const authStats = {
-      validTokens: authManager.getValidTokenCount()
+      validTokens: authManager.getValidTokenCount(),
+      token: identity.name,
+      rateLimit: identity.rateLimit || undefined,
+      rateLimiter: rateLimiter.type,
+      budget: identity.budget || undefined,
+      usage: await usageTracker.getUsage(identity.name).catch(() => undefined)
     };
     
     return new Response(
@@ -1094,29 +4365,41 @@ async function handleStatus() {
         timestamp: new Date().toISOString(),
         keyPool: {
           ...keyStats,
-          coolingDetails: coolingDetails.length > 0 ? coolingDetails : undefined
+          coolingDetails: coolingDetails.length > 0 ? coolingDetails : undefined,
+          probes: probeDetails.length > 0 ? probeDetails : undefined,
+          healthCheck: healthReport || undefined
         },
         auth: authStats,
-        version: "2.4.0-ultra-performance",
+        version: "3.0.0-multi-protocol",
         features: [
           "Load Balancing",
           "Intelligent Error Handling",
           "Optimized Streaming (3-layer pipeline)",
           "Enhanced Error Recovery",
-          "24h Cooling for 429/503",
+          "Per-model Cooling for 429",
+          "RetryInfo / QuotaFailure Aware 429 Cooling",
+          "24h Cooling for 503",
           "5min Cooling for 502/504",
           "Ultra-Low Frequency Auto Recovery (1h)",
           "Smart State Tracking",
           "Zero-Overhead Fast Path",
           "Emergency Fallback System",
+          "Half-open Key Probing",
+          "Scheduled Key Health Checks",
+          "Shared Key State (KV)",
+          "Per-key Quota Tracking (RPM/TPM/RPD)",
+          "Per-token Rate Limiting (RPM/TPM)",
+          "Per-token Daily / Monthly Budgets",
+          "OpenAI Tools / Function Calling",
+          "Weighted / Least-in-flight / LRU Strategies",
           "Stream Performance Monitoring",
           "Concurrency Safe",
           "Memory Optimized",
           "Cached Key Pool",
           "Pre-compiled Regex",
-          "Buffer Size Limiting",
+          "Spec-compliant SSE Parser (16M-character event limit)",
           "Sampling Monitoring",
-          "Silent Mode (Logs Disabled)"
+          "Per-token Request Logging"
         ]
       }),
       { headers: COMMON_HEADERS.JSON }